@@ -0,0 +1,32 @@
+
+const fs = require('fs');
+const path = require('path');
+
+// Development driver: prints messages to the console, or writes them as .eml files
+// to MAIL_OUTBOX_DIR when that is set
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR;
+
+const send = async (message) => {
+  const content = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    message.text
+  ].join('\n');
+
+  if (!OUTBOX_DIR) {
+    console.log(`--- Email ---\n${content}\n-------------`);
+    return;
+  }
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(OUTBOX_DIR, `mail-${uniqueSuffix}.eml`), content);
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
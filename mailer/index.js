@@ -0,0 +1,18 @@
+
+// Mail driver selected by MAIL_DRIVER ("smtp", or "console" for local development).
+// Drivers provide send({ from, to, subject, text, html }).
+const driver = process.env.MAIL_DRIVER === 'smtp'
+  ? require('./smtp')
+  : require('./console');
+
+const FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+// Send an email, filling in the default sender
+const sendMail = ({ to, subject, text, html }) => {
+  return driver.send({ from: FROM, to, subject, text, html });
+};
+
+module.exports = {
+  name: driver.name,
+  sendMail
+};
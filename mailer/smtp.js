@@ -0,0 +1,22 @@
+
+const nodemailer = require('nodemailer');
+
+// SMTP driver
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASSWORD
+  } : undefined
+});
+
+const send = async (message) => {
+  await transporter.sendMail(message);
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
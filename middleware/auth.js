@@ -1,6 +1,50 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Load the session and user named by a verified token's claims, or null when the
+// session was revoked or the user no longer exists
+const loadSessionUser = async (decoded) => {
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  return { user, session };
+};
+
+// Resolve the user and session an access token was issued for.
+// Returns null when the session was revoked or the user no longer exists;
+// throws if the token itself is invalid or expired.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed can't be revoked, so they aren't accepted.
+  // Neither are purpose-bound tokens such as media tokens.
+  if (!decoded.sid || decoded.purpose) {
+    return null;
+  }
+
+  return loadSessionUser(decoded);
+};
+
+// Resolve the user and session behind a media token, which is only valid for the video it names.
+// Returns null for any other token; throws if it is invalid or expired.
+const authenticateMediaToken = async (token, videoId) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== 'media' || !decoded.sid || decoded.vid !== videoId) {
+    return null;
+  }
+
+  return loadSessionUser(decoded);
+};
 
 // Middleware to authenticate token
 const auth = async (req, res, next) => {
@@ -14,18 +58,22 @@ const auth = async (req, res, next) => {
     
     const token = authHeader.split(' ')[1];
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user by id
-    const user = await User.findById(decoded.id).select('-password');
+    // Verify token and find user
+    const result = await authenticateToken(token);
     
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
     
-    // Add user to request object
-    req.user = user;
+    // Suspended and banned accounts can't use the API
+    const restriction = result.user.getRestriction();
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+    
+    // Add user and session to request object
+    req.user = result.user;
+    req.authSession = result.session;
     next();
     
   } catch (error) {
@@ -35,3 +83,5 @@ const auth = async (req, res, next) => {
 };
 
 module.exports = auth;
+module.exports.authenticateToken = authenticateToken;
+module.exports.authenticateMediaToken = authenticateMediaToken;
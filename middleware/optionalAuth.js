@@ -0,0 +1,37 @@
+
+const { authenticateToken, authenticateMediaToken } = require('./auth');
+
+// Middleware that attaches the user when a valid token is sent, but never rejects.
+// Suspended and banned users are treated as anonymous.
+// Media routes also accept a media token for the video in :id from ?token=,
+// since media elements cannot set headers.
+const createOptionalAuth = ({ media = false } = {}) => async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  let authenticate = null;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.split(' ')[1];
+    authenticate = () => authenticateToken(token);
+  } else if (media && typeof req.query.token === 'string') {
+    authenticate = () => authenticateMediaToken(req.query.token, req.params.id);
+  }
+
+  if (!authenticate) {
+    return next();
+  }
+
+  try {
+    const result = await authenticate();
+    if (result && !result.user.getRestriction()) {
+      req.user = result.user;
+      req.authSession = result.session;
+    }
+  } catch (error) {
+    // Invalid tokens are treated as anonymous requests
+  }
+
+  next();
+};
+
+module.exports = createOptionalAuth();
+module.exports.forMedia = createOptionalAuth({ media: true });
@@ -0,0 +1,39 @@
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'content:remove',
+    'reports:review'
+  ],
+  admin: [
+    'content:remove',
+    'reports:review',
+    'reports:review_escalated',
+    'roles:manage',
+    'users:manage',
+    'audit:read'
+  ]
+};
+
+// Check whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+// Middleware factory that only lets users whose role grants the permission through.
+// Must run after auth.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      message: 'You do not have permission to do this',
+      code: 'FORBIDDEN'
+    });
+  }
+  next();
+};
+
+module.exports = requirePermission;
+module.exports.hasPermission = hasPermission;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
@@ -0,0 +1,112 @@
+
+const store = require('../rateLimit');
+
+// Default policies. "per" decides who shares a counter: the client IP, the signed-in
+// user (routes using those must run after auth) or the session a refresh token in the
+// body belongs to (falling back to the IP). Each can be overridden with
+// RATE_LIMIT_<NAME>=<max>/<window seconds>, e.g. RATE_LIMIT_COMMENT=10/300,
+// and a max of 0 turns a policy off.
+const POLICIES = {
+  // Unauthenticated account endpoints: register, login, password reset...
+  auth: { max: 20, windowMs: 15 * 60 * 1000, per: 'ip' },
+  // Refresh token exchanges; clients normally rotate once per access token lifetime
+  refresh: { max: 30, windowMs: 15 * 60 * 1000, per: 'session' },
+  // New videos and resumable upload sessions
+  upload: { max: 50, windowMs: 24 * 60 * 60 * 1000, per: 'user' },
+  // Comments and replies
+  comment: { max: 30, windowMs: 10 * 60 * 1000, per: 'user' },
+  // Like and dislike toggles
+  reaction: { max: 120, windowMs: 10 * 60 * 1000, per: 'user' },
+  // Reports of videos and comments
+  report: { max: 20, windowMs: 60 * 60 * 1000, per: 'user' },
+  // Playback progress heartbeats (anonymous viewers are counted per IP)
+  progress: { max: 600, windowMs: 10 * 60 * 1000, per: 'user' },
+  // Personal data exports
+  export: { max: 5, windowMs: 24 * 60 * 60 * 1000, per: 'user' },
+  // Edits, publishing, sharing and deletes
+  edit: { max: 60, windowMs: 10 * 60 * 1000, per: 'user' }
+};
+
+// Apply RATE_LIMIT_<NAME> to a policy
+const getPolicy = (name) => {
+  const policy = POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const match = override && override.match(/^(\d+)\/(\d+)$/);
+  if (!match) {
+    return policy;
+  }
+
+  return {
+    ...policy,
+    max: parseInt(match[1]),
+    windowMs: parseInt(match[2]) * 1000
+  };
+};
+
+// Key of the counter a request is counted against
+const getSubject = (policy, req) => {
+  if (policy.per === 'user' && req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  if (policy.per === 'session') {
+    const [sessionId] = String((req.body && req.body.refreshToken) || '').split('.');
+    if (/^[a-f0-9]{24}$/.test(sessionId)) {
+      return `session:${sessionId}`;
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+// Seconds until a window ends, at least 1
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+// Set the RateLimit-* headers (IETF draft) describing a counter
+const setRateLimitHeaders = (res, { max, windowMs, count, resetAt }) => {
+  res.set({
+    'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`,
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(max - count, 0)),
+    'RateLimit-Reset': String(secondsUntil(resetAt))
+  });
+};
+
+// Middleware factory that counts requests against a named policy and answers
+// 429 Too Many Requests once the quota for the current window is used up
+const rateLimit = (name) => {
+  const policy = getPolicy(name);
+
+  return async (req, res, next) => {
+    if (policy.max === 0) {
+      return next();
+    }
+
+    const subject = getSubject(policy, req);
+
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${subject}`, policy.windowMs);
+      setRateLimitHeaders(res, { ...policy, count, resetAt });
+
+      if (count > policy.max) {
+        res.set('Retry-After', String(secondsUntil(resetAt)));
+        return res.status(429).json({
+          message: 'Too many requests, please try again later',
+          code: 'RATE_LIMITED'
+        });
+      }
+    } catch (error) {
+      // An unavailable store shouldn't take the API down with it
+      console.error('Rate limit error:', error);
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
+module.exports.secondsUntil = secondsUntil;
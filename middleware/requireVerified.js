@@ -0,0 +1,20 @@
+
+// Actions that unverified accounts may not perform, e.g. REQUIRE_VERIFIED_EMAIL=upload,comment
+const RESTRICTED_ACTIONS = (process.env.REQUIRE_VERIFIED_EMAIL || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Middleware factory that blocks unverified users from an action when the policy restricts it.
+// Must run after auth.
+const requireVerified = (action) => (req, res, next) => {
+  if (RESTRICTED_ACTIONS.includes(action) && !req.user.isVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+module.exports = requireVerified;
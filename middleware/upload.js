@@ -1,33 +1,12 @@
 
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { scratchDir } = require('../utils/files');
 
-// Create upload directories if they don't exist
-const createDir = (dirPath) => {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-};
-
-createDir(path.join(__dirname, '../uploads/videos'));
-createDir(path.join(__dirname, '../uploads/thumbnails'));
-createDir(path.join(__dirname, '../uploads/avatars'));
-
-// Configure storage
+// Files land in scratch space first; routes move them into storage once accepted
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    let uploadPath = '';
-    
-    if (file.fieldname === 'video') {
-      uploadPath = path.join(__dirname, '../uploads/videos');
-    } else if (file.fieldname === 'thumbnail') {
-      uploadPath = path.join(__dirname, '../uploads/thumbnails');
-    } else if (file.fieldname === 'avatar') {
-      uploadPath = path.join(__dirname, '../uploads/avatars');
-    }
-    
-    cb(null, uploadPath);
+    cb(null, scratchDir('incoming'));
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -56,13 +35,33 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Upload middleware
-const upload = multer({
+// Images are capped here; videos are capped per uploader (see videoFields)
+const IMAGE_SIZE_LIMIT = 1024 * 1024 * 100; // 100MB limit
+
+const createUpload = (fileSize) => multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 1024 * 1024 * 100 // 100MB limit
+    fileSize
   }
 });
 
+// Upload middleware
+const upload = createUpload(IMAGE_SIZE_LIMIT);
+
+// Accept a video upload capped at the signed-in user's upload size limit
+// (must run after auth). Oversized files are discarded and answered with 413.
+upload.videoFields = (fields) => (req, res, next) => {
+  const handler = createUpload(req.user.getUploadSizeLimit()).fields(fields);
+
+  handler(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: 'Video exceeds your upload size limit' });
+    }
+    next(error);
+  });
+};
+
+upload.IMAGE_SIZE_LIMIT = IMAGE_SIZE_LIMIT;
+
 module.exports = upload;
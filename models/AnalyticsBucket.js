@@ -0,0 +1,51 @@
+
+const mongoose = require('mongoose');
+
+// Hourly and daily activity totals for one video, or for a whole channel when video is null
+const AnalyticsBucketSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  // Start of the hour or (UTC) day
+  start: {
+    type: Date,
+    required: true
+  },
+  views: { type: Number, default: 0 },
+  uniqueViewers: { type: Number, default: 0 },
+  watchTimeSeconds: { type: Number, default: 0 },
+  // Net change: removing a like or dislike counts as -1
+  likes: { type: Number, default: 0 },
+  dislikes: { type: Number, default: 0 },
+  comments: { type: Number, default: 0 },
+  subscribersGained: { type: Number, default: 0 },
+  subscribersLost: { type: Number, default: 0 },
+  // Seconds watched in each percent of a video's length, keyed "0" to "99".
+  // Only kept on daily video buckets.
+  retention: {
+    type: Map,
+    of: Number
+  },
+  // Hourly buckets are only kept for recent days
+  expiresAt: {
+    type: Date
+  }
+});
+
+AnalyticsBucketSchema.index({ channel: 1, video: 1, granularity: 1, start: 1 }, { unique: true });
+AnalyticsBucketSchema.index({ video: 1 });
+AnalyticsBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalyticsBucket', AnalyticsBucketSchema);
@@ -0,0 +1,27 @@
+
+const mongoose = require('mongoose');
+
+// Marks a viewer as already counted in an analytics bucket's unique viewers
+const AnalyticsViewerSchema = new mongoose.Schema({
+  bucket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnalyticsBucket',
+    required: true
+  },
+  // Same viewer key as used for view deduplication
+  viewer: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+AnalyticsViewerSchema.index({ bucket: 1, viewer: 1 }, { unique: true });
+
+// Let MongoDB drop markers once their bucket can no longer receive views
+AnalyticsViewerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnalyticsViewer', AnalyticsViewerSchema);
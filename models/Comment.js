@@ -8,10 +8,16 @@ const CommentSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  // Unset on comments anonymized when their author deleted their account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.deletedAt;
+    }
+  },
+  deletedAt: {
+    type: Date
   },
   video: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +43,14 @@ const CommentSchema = new mongoose.Schema({
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
+  },
+  // Set while moderation hides the comment from listings
+  hiddenAt: {
+    type: Date
+  },
+  hiddenReason: {
+    type: String,
+    enum: ['owner_banned', 'owner_deleting', 'reports']
   }
 }, {
   timestamps: true
@@ -0,0 +1,83 @@
+
+const mongoose = require('mongoose');
+
+// Moderation queue entry for one reported video or comment
+const ModerationCaseSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['video', 'comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author of the reported content
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Video title or comment excerpt, kept for the record once the content is removed
+  targetLabel: {
+    type: String,
+    default: ''
+  },
+  // open: waiting for a moderator; escalated: waiting for an admin
+  status: {
+    type: String,
+    enum: ['open', 'escalated', 'dismissed', 'removed'],
+    default: 'open'
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Reports received since the case was last dismissed; drives auto-hiding
+  openReports: {
+    type: Number,
+    default: 0
+  },
+  // Number of reports per reason
+  reasons: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  lastReportedAt: {
+    type: Date
+  },
+  // Whether the content was hidden automatically after crossing the report threshold
+  autoHidden: {
+    type: Boolean,
+    default: false
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['escalate', 'dismiss', 'remove', 'reopen']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ModerationCaseSchema.index({ targetType: 1, target: 1 }, { unique: true });
+ModerationCaseSchema.index({ status: 1, reportCount: -1, lastReportedAt: -1 });
+
+module.exports = mongoose.model('ModerationCase', ModerationCaseSchema);
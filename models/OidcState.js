@@ -0,0 +1,39 @@
+
+const mongoose = require('mongoose');
+
+// A pending OpenID Connect authorization request, looked up by its state parameter
+// when the provider redirects back
+const OidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier and nonce sent (as challenge and in the request) to the provider
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking a provider rather than signing in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop abandoned requests
+OidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', OidcStateSchema);
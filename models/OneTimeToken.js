@@ -0,0 +1,62 @@
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (verification and password reset links) or handed
+// to the frontend after an identity provider sign-in.
+// Only a hash is stored, so a database leak doesn't expose usable tokens.
+const OneTimeTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'oidc_login'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired tokens
+OneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token for a user, replacing any earlier token of the same type.
+// Returns the raw token to send to the user.
+OneTimeTokenSchema.statics.issue = async function(user, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: user._id, type });
+  await this.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Use up a token. Returns the token document, or null if it is unknown, expired or already used.
+OneTimeTokenSchema.statics.consume = function(token, type) {
+  return this.findOneAndDelete({
+    tokenHash: hashToken(String(token)),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OneTimeToken', OneTimeTokenSchema);
@@ -0,0 +1,89 @@
+
+const mongoose = require('mongoose');
+const { VISIBILITIES } = require('./Video');
+
+// Most videos a playlist can hold
+const MAX_ITEMS = 5000;
+
+// Playlists created by users, and the built-in Watch Later queue every user has
+const KINDS = ['custom', 'watch_later'];
+
+const PlaylistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 150
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  },
+  // Built-in playlists can't be renamed, shared or deleted
+  kind: {
+    type: String,
+    enum: KINDS,
+    default: 'custom'
+  },
+  // Videos in playlist order
+  items: [{
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when a Watch Later item is marked as watched
+    watchedAt: {
+      type: Date
+    }
+  }],
+  // Invited users who may add videos (and remove the ones they added)
+  collaborators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+PlaylistSchema.index({ user: 1, updatedAt: -1 });
+PlaylistSchema.index({ collaborators: 1 });
+PlaylistSchema.index({ 'items.video': 1 });
+// One Watch Later queue per user
+PlaylistSchema.index(
+  { user: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { kind: 'watch_later' } }
+);
+
+// Get a user's Watch Later queue, creating it on first use
+PlaylistSchema.statics.watchLaterFor = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId, kind: 'watch_later' },
+    { $setOnInsert: { title: 'Watch Later', visibility: 'private' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Playlist', PlaylistSchema);
+module.exports.MAX_ITEMS = MAX_ITEMS;
+module.exports.KINDS = KINDS;
@@ -0,0 +1,24 @@
+
+const mongoose = require('mongoose');
+
+// Fixed-window request counter used by the MongoDB rate limit store
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop counters once their window has ended
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
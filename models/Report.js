@@ -0,0 +1,64 @@
+
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'sexual_content',
+  'child_safety',
+  'misinformation',
+  'copyright',
+  'other'
+];
+
+// A user's report of a video or comment. Reports on the same content are grouped
+// into one ModerationCase.
+const ReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationCase',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['video', 'comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  // Outcome of the case, copied here once it is decided so reporters can see it
+  outcome: {
+    type: String,
+    enum: ['pending', 'dismissed', 'removed'],
+    default: 'pending'
+  }
+}, {
+  timestamps: true
+});
+
+// One report per user and piece of content
+ReportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+ReportSchema.index({ case: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', ReportSchema);
+module.exports.REPORT_REASONS = REPORT_REASONS;
@@ -0,0 +1,57 @@
+
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session is one refresh-token family: the refresh token
+// rotates on every use and only the latest one is accepted.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of already rotated refresh tokens, used to detect reuse
+  previousTokenHashes: [{
+    type: String
+  }],
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB drop sessions once they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,72 @@
+
+const mongoose = require('mongoose');
+
+const UploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Total size announced by the client, in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  // Number of bytes received so far
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Video fields applied when the upload is finalized
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  category: {
+    type: String,
+    default: 'entertainment'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  visibility: {
+    type: String,
+    default: 'public'
+  },
+  publishAt: {
+    type: Date
+  },
+  // Set while the upload is being turned into a video
+  status: {
+    type: String,
+    enum: ['uploading', 'completing'],
+    default: 'uploading'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+UploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
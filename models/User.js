@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const ROLES = ['user', 'moderator', 'admin'];
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -23,6 +25,29 @@ const UserSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // False for accounts created through an identity provider until a password is set
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  // External OpenID Connect identities that can sign in to this account
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: ''
@@ -50,11 +75,85 @@ const UserSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
+  },
+  // Moderators can remove any content; admins also manage roles
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // TOTP two-factor authentication. Secrets are only loaded when asked for.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret from an enrollment that hasn't been confirmed with a code yet
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  // Suspensions and bans applied by admins
+  moderation: {
+    suspendedUntil: {
+      type: Date
+    },
+    suspensionReason: {
+      type: String
+    },
+    bannedAt: {
+      type: Date
+    },
+    banReason: {
+      type: String
+    }
+  },
+  // While set, playback progress is not added to the watch history
+  historyPaused: {
+    type: Boolean,
+    default: false
+  },
+  // Set while the account waits out the grace period before deletion
+  deletion: {
+    requestedAt: {
+      type: Date
+    },
+    scheduledFor: {
+      type: Date
+    }
+  },
+  // Per-user override of the maximum video upload size, in bytes
+  uploadSizeLimit: {
+    type: Number
   }
 }, {
   timestamps: true
 });
 
+// An external identity belongs to at most one account
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -73,4 +172,34 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Why the account can't be used right now, or null when it can
+UserSchema.methods.getRestriction = function() {
+  const moderation = this.moderation || {};
+
+  if (moderation.bannedAt) {
+    return {
+      code: 'ACCOUNT_BANNED',
+      message: 'This account has been banned',
+      reason: moderation.banReason
+    };
+  }
+
+  if (moderation.suspendedUntil && moderation.suspendedUntil > new Date()) {
+    return {
+      code: 'ACCOUNT_SUSPENDED',
+      message: 'This account is suspended',
+      reason: moderation.suspensionReason,
+      until: moderation.suspendedUntil
+    };
+  }
+
+  return null;
+};
+
+// Maximum size of a single video upload for this user, in bytes
+UserSchema.methods.getUploadSizeLimit = function() {
+  return this.uploadSizeLimit || parseInt(process.env.MAX_UPLOAD_SIZE) || 1024 * 1024 * 1024 * 2;
+};
+
 module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
@@ -1,6 +1,9 @@
 
 const mongoose = require('mongoose');
 
+const CATEGORIES = ['entertainment', 'music', 'education', 'sports', 'gaming', 'technology', 'travel', 'comedy', 'news'];
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
 const VideoSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -26,17 +29,36 @@ const VideoSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Frames extracted from the video that the owner can pick as thumbnail
+  thumbnailCandidates: [{
+    type: String
+  }],
+  // Seek-preview sprite sheets described by a WebVTT thumbnail track
+  storyboard: {
+    vttUrl: String,
+    interval: Number // seconds per tile
+  },
+  // Formatted for display, e.g. "4:05"; the numeric value lives in metadata.duration
   duration: {
     type: String,
     default: '0:00'
   },
+  metadata: {
+    duration: Number, // seconds
+    width: Number,
+    height: Number,
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number, // bits per second
+    fileSize: Number // bytes
+  },
   views: {
     type: Number,
     default: 0
   },
   category: {
     type: String,
-    enum: ['entertainment', 'music', 'education', 'sports', 'gaming', 'technology', 'travel', 'comedy', 'news'],
+    enum: CATEGORIES,
     default: 'entertainment'
   },
   likes: {
@@ -50,12 +72,72 @@ const VideoSchema = new mongoose.Schema({
   tags: [{
     type: String,
     trim: true
+  }],
+  // Uploads start as drafts that only the owner sees until they are published
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published'
+  },
+  publishedAt: {
+    type: Date
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  },
+  // Scheduled release time; the video stays hidden from everyone but its owner until then
+  publishAt: {
+    type: Date
+  },
+  // Users allowed to watch a private or not-yet-released video
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set while moderation hides the video from everyone but its owner and moderators
+  hiddenAt: {
+    type: Date
+  },
+  hiddenReason: {
+    type: String,
+    enum: ['owner_banned', 'owner_deleting', 'reports']
+  },
+  processing: {
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'ready', 'failed']
+    },
+    progress: {
+      type: Number,
+      default: 0
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date
+  },
+  hlsUrl: {
+    type: String,
+    default: ''
+  },
+  renditions: [{
+    name: String,
+    width: Number,
+    height: Number,
+    bandwidth: Number,
+    playlistUrl: String
   }]
 }, {
   timestamps: true
 });
 
+// Listings filter on visibility and release time
+VideoSchema.index({ visibility: 1, publishAt: 1, createdAt: -1 });
+
 // Create index for search
 VideoSchema.index({ title: 'text', description: 'text', tags: 'text' });
 
 module.exports = mongoose.model('Video', VideoSchema);
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.VISIBILITIES = VISIBILITIES;
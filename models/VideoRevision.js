@@ -0,0 +1,83 @@
+
+const mongoose = require('mongoose');
+
+// Metadata fields tracked in the revision history
+const TRACKED_FIELDS = ['title', 'description', 'category', 'tags', 'thumbnailUrl'];
+
+const VideoRevisionSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // User who made the change
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fields that changed compared to the previous version
+  changedFields: [{
+    type: String
+  }],
+  // Version this one was rolled back to, if any
+  restoredFrom: {
+    type: Number
+  },
+  // Metadata as it was after this change
+  snapshot: {
+    title: String,
+    description: String,
+    category: String,
+    tags: [String],
+    thumbnailUrl: String
+  }
+}, {
+  timestamps: true
+});
+
+VideoRevisionSchema.index({ video: 1, version: -1 }, { unique: true });
+
+// Copy the tracked metadata fields from a video
+const takeSnapshot = (video) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach((field) => {
+    snapshot[field] = Array.isArray(video[field]) ? [...video[field]] : video[field];
+  });
+  return snapshot;
+};
+
+// Record the current metadata of a video as a new revision.
+// The pre-edit state is recorded as version 1 the first time a video is edited,
+// so pass it as `previous` to keep the original metadata restorable.
+VideoRevisionSchema.statics.record = async function(video, editor, { previous, changedFields, restoredFrom } = {}) {
+  const latest = await this.findOne({ video: video._id }).sort({ version: -1 });
+  let version = latest ? latest.version : 0;
+
+  if (!latest && previous) {
+    version += 1;
+    await this.create({
+      video: video._id,
+      version,
+      editor: video.user,
+      snapshot: previous
+    });
+  }
+
+  return this.create({
+    video: video._id,
+    version: version + 1,
+    editor: editor._id,
+    changedFields,
+    restoredFrom,
+    snapshot: takeSnapshot(video)
+  });
+};
+
+module.exports = mongoose.model('VideoRevision', VideoRevisionSchema);
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
+module.exports.takeSnapshot = takeSnapshot;
@@ -0,0 +1,44 @@
+
+const mongoose = require('mongoose');
+
+// Playback by one viewer of one video within a deduplication window.
+// At most one view is counted per record.
+const ViewRecordSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // "user:<id>" for signed-in viewers, "anon:<hash of IP and user agent>" otherwise
+  viewer: {
+    type: String,
+    required: true
+  },
+  // Start of the deduplication window the record belongs to
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  // Seconds played as reported by heartbeats
+  watchedSeconds: {
+    type: Number,
+    default: 0
+  },
+  // When the view was counted
+  countedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ViewRecordSchema.index({ video: 1, viewer: 1, windowStart: 1 }, { unique: true });
+
+// Let MongoDB drop records once their window has ended
+ViewRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ViewRecord', ViewRecordSchema);
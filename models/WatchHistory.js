@@ -0,0 +1,47 @@
+
+const mongoose = require('mongoose');
+
+// One entry per user and video, updated by playback progress heartbeats
+const WatchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Last reported playback position, in seconds
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Video length when the entry was last updated, in seconds
+  duration: {
+    type: Number
+  },
+  // Total seconds played across all sessions
+  watchedSeconds: {
+    type: Number,
+    default: 0
+  },
+  // Whether the last position reached the end of the video
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+WatchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+WatchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
+WatchHistorySchema.index({ video: 1 });
+
+module.exports = mongoose.model('WatchHistory', WatchHistorySchema);
@@ -0,0 +1,15 @@
+
+// Rate limit store selected by RATE_LIMIT_STORE ("memory" or "mongo").
+// The memory store only counts requests seen by this process; use the MongoDB
+// store when several instances run behind a load balancer.
+//
+// Stores keep fixed-window counters and provide:
+//   increment(key, windowMs)  count a hit and resolve to { count, resetAt },
+//                             opening a new window when the previous one has ended
+//   get(key)                  { count, resetAt } of the open window, or null
+//   reset(key)                forget a counter
+const driver = process.env.RATE_LIMIT_STORE === 'mongo'
+  ? require('./mongo')
+  : require('./memory');
+
+module.exports = driver;
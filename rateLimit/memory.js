@@ -0,0 +1,47 @@
+
+// In-process store for a single server instance
+const SWEEP_INTERVAL = 60 * 1000;
+
+const counters = new Map();
+
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+  let counter = counters.get(key);
+
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+
+  counter.count += 1;
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+};
+
+const get = async (key) => {
+  const counter = counters.get(key);
+  if (!counter || counter.resetAt <= Date.now()) {
+    return null;
+  }
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+};
+
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+// Drop ended windows so the map doesn't grow without bound
+setInterval(() => {
+  const now = Date.now();
+  counters.forEach((counter, key) => {
+    if (counter.resetAt <= now) {
+      counters.delete(key);
+    }
+  });
+}, SWEEP_INTERVAL).unref();
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get,
+  reset
+};
@@ -0,0 +1,51 @@
+
+const RateLimit = require('../models/RateLimit');
+
+// Store shared by every server instance using the same database
+const increment = async (key, windowMs) => {
+  const now = new Date();
+
+  const counter = await RateLimit.findOneAndUpdate(
+    { key, resetAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+  if (counter) {
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  try {
+    // No open window: restart an ended one or create the counter
+    const fresh = await RateLimit.findOneAndUpdate(
+      { key, resetAt: { $lte: now } },
+      { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+      { new: true, upsert: true }
+    );
+    return { count: fresh.count, resetAt: fresh.resetAt };
+  } catch (error) {
+    // Another request opened the window first; count against that one
+    if (error.code === 11000) {
+      return increment(key, windowMs);
+    }
+    throw error;
+  }
+};
+
+const get = async (key) => {
+  const counter = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+  if (!counter) {
+    return null;
+  }
+  return { count: counter.count, resetAt: counter.resetAt };
+};
+
+const reset = async (key) => {
+  await RateLimit.deleteOne({ key });
+};
+
+module.exports = {
+  name: 'mongo',
+  increment,
+  get,
+  reset
+};
@@ -0,0 +1,411 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permissions');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Subscription = require('../models/Subscription');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit } = require('../utils/audit');
+const { revokeSessions } = require('../utils/tokens');
+const { hideUserContent, restoreUserContent } = require('../utils/moderation');
+
+const router = express.Router();
+
+// Fields never returned by the admin API
+const HIDDEN_USER_FIELDS = '-password -twoFactor';
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load the user an action targets. Nobody can act on their own account, and with
+// rejectAdmins (suspending or banning) admins are refused until they are demoted.
+// Sends the error response and returns null when the action isn't allowed.
+const loadTargetUser = async (req, res, { rejectAdmins = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({ message: 'You cannot do this to your own account' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if (rejectAdmins && user.role === 'admin') {
+    res.status(400).json({ message: 'Remove the admin role before suspending or banning this user' });
+    return null;
+  }
+
+  return user;
+};
+
+// @route   GET /api/admin/users
+// @desc    Search and list users (q matches username or email; status: active, suspended, banned)
+// @access  Private (admin)
+router.get('/users', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const filter = {};
+    
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q)), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    
+    if (req.query.role && User.ROLES.includes(req.query.role)) {
+      filter.role = req.query.role;
+    }
+    
+    const now = new Date();
+    if (req.query.status === 'banned') {
+      filter['moderation.bannedAt'] = { $ne: null };
+    } else if (req.query.status === 'suspended') {
+      filter['moderation.bannedAt'] = null;
+      filter['moderation.suspendedUntil'] = { $gt: now };
+    } else if (req.query.status === 'active') {
+      filter['moderation.bannedAt'] = null;
+      filter['moderation.suspendedUntil'] = { $not: { $gt: now } };
+    }
+    
+    const users = await User.find(filter)
+      .select(HIDDEN_USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    res.json(users);
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with upload, comment and subscription stats
+// @access  Private (admin)
+router.get('/users/:id', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const user = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const [videos, hiddenVideos, comments, subscribers, subscriptions] = await Promise.all([
+      Video.countDocuments({ user: user._id }),
+      Video.countDocuments({ user: user._id, hiddenAt: { $ne: null } }),
+      Comment.countDocuments({ user: user._id }),
+      Subscription.countDocuments({ channel: user._id }),
+      Subscription.countDocuments({ subscriber: user._id })
+    ]);
+    
+    res.json({
+      user,
+      stats: {
+        videos,
+        hiddenVideos,
+        comments,
+        subscribers,
+        subscriptions,
+        views: user.views
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/videos
+// @desc    List all of a user's videos, including drafts, private and hidden ones
+// @access  Private (admin)
+router.get('/users/:id/videos', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const videos = await Video.find({ user: req.params.id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    res.json(videos);
+  } catch (error) {
+    console.error('Admin get user videos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/comments
+// @desc    List a user's comments, including hidden ones
+// @access  Private (admin)
+router.get('/users/:id/comments', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const comments = await Comment.find({ user: req.params.id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('video', 'title');
+    
+    res.json(comments);
+  } catch (error) {
+    console.error('Admin get user comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user for a number of hours
+// @access  Private (admin)
+router.post('/users/:id/suspend', auth, requirePermission('users:manage'), [
+  body('hours').isFloat({ gt: 0 }).withMessage('Suspension length in hours is required').toFloat(),
+  body('reason').trim().not().isEmpty().withMessage('A reason is required').isLength({ max: 500 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await loadTargetUser(req, res, { rejectAdmins: true });
+    if (!user) return;
+    
+    user.moderation.suspendedUntil = new Date(Date.now() + req.body.hours * 60 * 60 * 1000);
+    user.moderation.suspensionReason = req.body.reason;
+    await user.save();
+    
+    // Sign the user out everywhere
+    await revokeSessions({ user: user._id }, 'suspended');
+    
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user._id,
+      details: { until: user.moderation.suspendedUntil, reason: req.body.reason }
+    });
+    
+    res.json(user);
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/suspension
+// @desc    Lift a suspension early
+// @access  Private (admin)
+router.delete('/users/:id/suspension', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+    
+    if (!user.moderation.suspendedUntil || user.moderation.suspendedUntil <= new Date()) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+    
+    user.moderation.suspendedUntil = undefined;
+    user.moderation.suspensionReason = undefined;
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      targetId: user._id
+    });
+    
+    res.json(user);
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/ban
+// @desc    Ban a user permanently, optionally hiding all their videos and comments
+// @access  Private (admin)
+router.post('/users/:id/ban', auth, requirePermission('users:manage'), [
+  body('reason').trim().not().isEmpty().withMessage('A reason is required').isLength({ max: 500 }),
+  body('hideContent').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await loadTargetUser(req, res, { rejectAdmins: true });
+    if (!user) return;
+    
+    if (user.moderation.bannedAt) {
+      return res.status(400).json({ message: 'User is already banned' });
+    }
+    
+    user.moderation.bannedAt = new Date();
+    user.moderation.banReason = req.body.reason;
+    await user.save();
+    
+    await revokeSessions({ user: user._id }, 'banned');
+    
+    const hidden = req.body.hideContent ? await hideUserContent(user._id, 'owner_banned') : null;
+    
+    await recordAudit(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      targetId: user._id,
+      details: { reason: req.body.reason, hidden }
+    });
+    
+    res.json({ user, hidden });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/ban
+// @desc    Lift a ban and restore content hidden by it
+// @access  Private (admin)
+router.delete('/users/:id/ban', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+    
+    if (!user.moderation.bannedAt) {
+      return res.status(400).json({ message: 'User is not banned' });
+    }
+    
+    user.moderation.bannedAt = undefined;
+    user.moderation.banReason = undefined;
+    await user.save();
+    
+    const restored = await restoreUserContent(user._id, 'owner_banned');
+    
+    await recordAudit(req, {
+      action: 'user.unban',
+      targetType: 'user',
+      targetId: user._id,
+      details: { restored }
+    });
+    
+    res.json({ user, restored });
+  } catch (error) {
+    console.error('Unban user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:id/role', auth, requirePermission('roles:manage'), [
+  body('role').isIn(User.ROLES).withMessage(`Role must be one of: ${User.ROLES.join(', ')}`)
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    // Keeps an admin from accidentally locking themselves out
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+    
+    const user = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findById(req.params.id).select('-password')
+      : null;
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const previousRole = user.role;
+    if (previousRole === req.body.role) {
+      return res.json(user);
+    }
+    
+    user.role = req.body.role;
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user._id,
+      details: { from: previousRole, to: user.role }
+    });
+    
+    res.json(user);
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    List privileged actions, newest first (filter by actor, action, targetType, targetId)
+// @access  Private (admin)
+router.get('/audit-log', auth, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    
+    const filter = {};
+    ['actor', 'targetId'].forEach((field) => {
+      if (req.query[field] && mongoose.Types.ObjectId.isValid(req.query[field])) {
+        filter[field] = req.query[field];
+      }
+    });
+    ['action', 'targetType'].forEach((field) => {
+      if (req.query[field]) {
+        filter[field] = String(req.query[field]);
+      }
+    });
+    
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'username avatar');
+    
+    res.json(entries);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
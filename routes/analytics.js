@@ -0,0 +1,146 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Video = require('../models/Video');
+const { isVideoOwner } = require('../utils/videoAccess');
+const toCsv = require('../utils/csv');
+const {
+  GRANULARITIES,
+  METRICS,
+  HOURLY_DAYS,
+  startOf,
+  getSeries,
+  getRetention
+} = require('../utils/analytics');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest range a single request can cover
+const MAX_RANGE_DAYS = 730;
+// Range used when from and to are left out
+const DEFAULT_RANGE_DAYS = 28;
+
+// Validators for the date range and output options shared by all analytics routes
+const rangeValidators = [
+  query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+  query('granularity').optional().isIn(GRANULARITIES).withMessage('granularity must be day or hour'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+];
+
+// Turn the from and to days (both inclusive, UTC) into bucket bounds,
+// answering 400 when the range can't be served
+const parseRange = (req, res) => {
+  const granularity = req.query.granularity || 'day';
+  const today = startOf('day', new Date());
+  const lastDay = req.query.to ? startOf('day', new Date(req.query.to)) : today;
+  const from = req.query.from
+    ? startOf('day', new Date(req.query.from))
+    : new Date(lastDay.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  const to = new Date(lastDay.getTime() + DAY_MS);
+
+  let message = null;
+  if (from > lastDay) {
+    message = 'from must not be after to';
+  } else if ((to - from) / DAY_MS > MAX_RANGE_DAYS) {
+    message = `Ranges can cover at most ${MAX_RANGE_DAYS} days`;
+  } else if (granularity === 'hour' && from < new Date(today.getTime() - HOURLY_DAYS * DAY_MS)) {
+    message = `Hourly data is only kept for the last ${HOURLY_DAYS} days`;
+  }
+
+  if (message) {
+    res.status(400).json({ message });
+    return null;
+  }
+
+  return { granularity, from, to };
+};
+
+// Send a report as JSON, or its series as a CSV download
+const sendReport = (req, res, name, columns, report) => {
+  if (req.query.format !== 'csv') {
+    return res.json(report);
+  }
+
+  const day = date => date.toISOString().slice(0, 10);
+  const lastDay = new Date(report.to.getTime() - DAY_MS);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${name}-${day(report.from)}-${day(lastDay)}.csv"`
+  });
+  res.send(toCsv(report.series, ['start', ...columns, 'averageViewDurationSeconds']));
+};
+
+// @route   GET /api/analytics/channel
+// @desc    Views, watch time, engagement and subscriber changes of the current user's channel
+// @access  Private
+router.get('/channel', auth, rangeValidators, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const range = parseRange(req, res);
+    if (!range) return;
+    
+    const { totals, series } = await getSeries({ channel: req.user._id, ...range });
+    
+    sendReport(req, res, 'channel-analytics', METRICS, {
+      ...range,
+      totals,
+      series
+    });
+  } catch (error) {
+    console.error('Get channel analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/videos/:id
+// @desc    Views, watch time, engagement and audience retention of a video
+// @access  Private (owner only)
+router.get('/videos/:id', auth, rangeValidators, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const video = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Video.findById(req.params.id).select('title user metadata')
+      : null;
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const range = parseRange(req, res);
+    if (!range) return;
+    
+    const { totals, series } = await getSeries({ channel: video.user, video: video._id, ...range });
+    
+    // Subscribers are tracked per channel only
+    const isVideoMetric = key => !key.startsWith('subscribers');
+    const pick = row => Object.fromEntries(Object.entries(row).filter(([key]) => isVideoMetric(key)));
+    
+    sendReport(req, res, `video-${video._id}-analytics`, METRICS.filter(isVideoMetric), {
+      video: { _id: video._id, title: video.title },
+      ...range,
+      totals: pick(totals),
+      series: series.map(pick),
+      retention: await getRetention(video, range.from, range.to)
+    });
+  } catch (error) {
+    console.error('Get video analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,109 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const OneTimeToken = require('../models/OneTimeToken');
+const OidcState = require('../models/OidcState');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { secondsUntil } = rateLimit;
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const { getLoginLock, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { SECRET_FIELDS, createEnrollment, generateRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+const { verifyCode } = require('../utils/totp');
+const { getProvider, listProviders, createAuthorizationRequest, exchangeCode } = require('../utils/oidc');
+const { resolveIdentityLogin, linkIdentity } = require('../utils/identities');
 
 const router = express.Router();
 
+// Frontend page identity provider sign-ins return to
+const OIDC_CALLBACK_URL = `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}/oauth/callback`;
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000;
+const OIDC_LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+// Save a pending authorization request and return the provider URL to send the browser to
+const startOidcRequest = async (provider, user) => {
+  const request = await createAuthorizationRequest(provider);
+
+  await OidcState.create({
+    state: request.state,
+    provider: provider.name,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    user: user ? user._id : undefined,
+    expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MS)
+  });
+
+  return request.url;
+};
+
+// Send the browser back to the frontend with the outcome of a provider redirect
+const redirectToClient = (res, params) => {
+  res.redirect(`${OIDC_CALLBACK_URL}?${new URLSearchParams(params)}`);
+};
+
+// Answer 429 while the account or IP is locked out after repeated failed logins.
+// Returns true if the response was sent.
+const rejectIfLocked = async (email, req, res) => {
+  const lockedUntil = await getLoginLock(email, req.ip);
+  if (!lockedUntil) {
+    return false;
+  }
+
+  const retryAfter = secondsUntil(lockedUntil);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: 'Too many failed login attempts, please try again later',
+    code: 'LOGIN_LOCKED',
+    retryAfter
+  });
+  return true;
+};
+
+// Answer 403 for suspended or banned accounts. Returns true if the response was sent.
+const rejectIfRestricted = (user, res) => {
+  const restriction = user.getRestriction();
+  if (!restriction) {
+    return false;
+  }
+
+  res.status(403).json(restriction);
+  return true;
+};
+
+// Validators for routes that take a second factor: an authenticator code or a recovery code
+const secondFactorValidators = [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+// User data (without password) returned alongside a new token pair
+const authResponse = (user, { token, refreshToken }) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  subscribers: user.subscribers,
+  isVerified: user.isVerified,
+  role: user.role,
+  token,
+  refreshToken
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', [
+router.post('/register', rateLimit('auth'), [
   body('username')
     .trim()
     .not().isEmpty().withMessage('Username is required')
@@ -61,23 +154,17 @@ router.post('/register', [
 
     await user.save();
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Return user data (without password) and token
-    res.status(201).json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      subscribers: user.subscribers,
-      token
+    // A mail outage shouldn't fail registration; the user can ask for a new link
+    sendVerificationEmail(user).catch((error) => {
+      console.error('Send verification email error:', error);
     });
 
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
+
+    // Return user data (without password) and tokens
+    res.status(201).json(authResponse(user, tokens));
+
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
@@ -85,9 +172,9 @@ router.post('/register', [
 });
 
 // @route   POST /api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token (or a 2FA challenge when two-factor is enabled)
 // @access  Public
-router.post('/login', [
+router.post('/login', rateLimit('auth'), [
   body('email').isEmail().withMessage('Please include a valid email'),
   body('password').exists().withMessage('Password is required')
 ], async (req, res) => {
@@ -100,34 +187,45 @@ router.post('/login', [
   const { email, password } = req.body;
 
   try {
+    // Refuse attempts while the account or IP is locked out after repeated failures
+    if (await rejectIfLocked(email, req, res)) {
+      return;
+    }
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Only told after the password checks out, so it doesn't reveal anything to guessers
+    if (rejectIfRestricted(user, res)) {
+      return;
+    }
 
-    // Return user data and token
-    res.json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      subscribers: user.subscribers,
-      token
-    });
+    // With two-factor enabled the password only earns a challenge for POST /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    await recordLoginSuccess(email);
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
+
+    // Return user data and tokens
+    res.json(authResponse(user, tokens));
 
   } catch (error) {
     console.error('Login error:', error);
@@ -135,6 +233,59 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @access  Public
+router.post('/login/2fa', rateLimit('auth'), [
+  body('challengeToken').isString().not().isEmpty().withMessage('Challenge token is required'),
+  ...secondFactorValidators
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    const user = userId && await User.findById(userId).select(SECRET_FIELDS);
+    
+    if (!user) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+    
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (await rejectIfLocked(user.email, req, res)) {
+      return;
+    }
+    
+    const method = await verifySecondFactor(user, req.body);
+    if (!method) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    if (rejectIfRestricted(user, res)) {
+      return;
+    }
+    
+    await recordLoginSuccess(user.email);
+    
+    const tokens = await createSession(user, req);
+    const response = authResponse(user, tokens);
+    
+    // Let the client warn when recovery codes are running out
+    if (method === 'recovery') {
+      response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length - 1;
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -149,4 +300,557 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', rateLimit('auth'), [
+  body('token').isString().not().isEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const token = await OneTimeToken.consume(req.body.token, 'email_verification');
+    
+    if (!token) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+    
+    await User.updateOne({ _id: token.user }, { $set: { isVerified: true } });
+    
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (invalidates earlier links)
+// @access  Private
+router.post('/resend-verification', auth, rateLimit('auth'), async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit('auth'), [
+  body('email').isEmail().withMessage('Please include a valid email').normalizeEmail()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    
+    // Same answer either way so the route can't be used to discover accounts
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post('/reset-password', rateLimit('auth'), [
+  body('token').isString().not().isEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const token = await OneTimeToken.consume(req.body.token, 'password_reset');
+    const user = token && await User.findById(token.user);
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    
+    // Hashed by the pre-save hook
+    user.password = req.body.password;
+    user.hasPassword = true;
+    await user.save();
+    
+    // Sign out every device that used the old password
+    await revokeSessions({ user: user._id }, 'password_reset');
+    
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password (signs out all sessions and returns a new token pair)
+// @access  Private
+router.put('/password', auth, rateLimit('auth'), [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+    
+    if (!user.hasPassword) {
+      return res.status(400).json({ message: 'Your account has no password yet. Use forgot password to set one' });
+    }
+    
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    
+    user.password = req.body.newPassword;
+    await user.save();
+    
+    // Invalidate every existing token, including pending reset links
+    await revokeSessions({ user: user._id }, 'password_changed');
+    await OneTimeToken.deleteMany({ user: user._id, type: 'password_reset' });
+    
+    // Keep the device that made the change signed in
+    const tokens = await createSession(user, req);
+    
+    res.json(authResponse(user, tokens));
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment: returns a new secret and otpauth URI
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    const enrollment = createEnrollment(req.user);
+    
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'twoFactor.pendingSecret': enrollment.secret } }
+    );
+    
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code; returns the recovery codes once
+// @access  Private
+router.post('/2fa/enable', auth, rateLimit('auth'), [
+  body('code').isString().not().isEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      recoveryCodes: recoveryCodes.hashes,
+      lastUsedStep: step
+    };
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: recoveryCodes.codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (requires the password and a code)
+// @access  Private
+router.post('/2fa/disable', auth, rateLimit('auth'), [
+  body('password').exists().withMessage('Password is required'),
+  ...secondFactorValidators
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    
+    if (!await verifySecondFactor(user, req.body)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, rateLimit('auth'), secondFactorValidators, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!await verifySecondFactor(user, req.body)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.hashes } }
+    );
+    
+    res.json({ recoveryCodes: recoveryCodes.codes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', rateLimit('refresh'), [
+  body('refreshToken').isString().not().isEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN' || error.code === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.authSession._id }, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every session except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await revokeSessions({
+      user: req.user._id,
+      _id: { $ne: req.authSession._id }
+    }, 'signed_out_elsewhere');
+    
+    res.json({ message: 'Other sessions signed out', count: result.modifiedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single session
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await revokeSessions({ _id: req.params.id, user: req.user._id }, 'signed_out');
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List the identity providers that can be used to sign in
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Trade the one-time code from a provider sign-in for tokens (or a 2FA challenge)
+// @access  Public
+router.post('/oidc/exchange', rateLimit('auth'), [
+  body('code').isString().not().isEmpty().withMessage('Code is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const token = await OneTimeToken.consume(req.body.code, 'oidc_login');
+    const user = token && await User.findById(token.user);
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Sign-in code is invalid or has expired' });
+    }
+    
+    if (rejectIfRestricted(user, res)) {
+      return;
+    }
+    
+    // The provider replaces the password step, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+    
+    const tokens = await createSession(user, req);
+    
+    res.json(authResponse(user, tokens));
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider
+// @desc    Start signing in with an identity provider (redirects to the provider)
+// @access  Public
+router.get('/oidc/:provider', rateLimit('auth'), async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
+    
+    res.redirect(await startOidcRequest(provider));
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({ message: 'Identity provider is unavailable' });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link
+// @desc    Start linking an identity provider to the current account; returns the URL to open
+// @access  Private
+router.post('/oidc/:provider/link', auth, rateLimit('auth'), async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
+    
+    res.json({ authorizationUrl: await startOidcRequest(provider, req.user) });
+  } catch (error) {
+    console.error('OIDC link start error:', error);
+    res.status(502).json({ message: 'Identity provider is unavailable' });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Provider redirect target: signs in or links, then redirects to the frontend
+// @access  Public
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  
+  if (!provider) {
+    return res.status(404).json({ message: 'Unknown identity provider' });
+  }
+  
+  try {
+    const pending = req.query.state && await OidcState.findOneAndDelete({
+      state: String(req.query.state),
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (!pending) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+    
+    // The user declined, or the provider refused the request
+    if (req.query.error || !req.query.code) {
+      return redirectToClient(res, { error: String(req.query.error || 'missing_code') });
+    }
+    
+    const claims = await exchangeCode(provider, {
+      code: String(req.query.code),
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+    
+    if (pending.user) {
+      await linkIdentity({ _id: pending.user }, provider.name, claims);
+      return redirectToClient(res, { linked: provider.name });
+    }
+    
+    const user = await resolveIdentityLogin(provider.name, claims);
+    const code = await OneTimeToken.issue(user, 'oidc_login', OIDC_LOGIN_CODE_TTL_MS);
+    
+    redirectToClient(res, { code });
+  } catch (error) {
+    if (['ACCOUNT_EXISTS', 'EMAIL_NOT_VERIFIED', 'IDENTITY_IN_USE', 'PROVIDER_ALREADY_LINKED'].includes(error.code)) {
+      return redirectToClient(res, { error: error.code.toLowerCase(), message: error.message });
+    }
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: 'server_error' });
+  }
+});
+
+// @route   DELETE /api/auth/oidc/:provider
+// @desc    Unlink an identity provider from the current account
+// @access  Private
+router.delete('/oidc/:provider', auth, async (req, res) => {
+  try {
+    const provider = String(req.params.provider).toLowerCase();
+    const identities = req.user.identities || [];
+    
+    if (!identities.some(identity => identity.provider === provider)) {
+      return res.status(404).json({ message: 'Provider is not linked' });
+    }
+    
+    // Don't leave the account without any way to sign in
+    if (!req.user.hasPassword && identities.length === 1) {
+      return res.status(400).json({ message: 'Set a password before unlinking your only sign-in method' });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $pull: { identities: { provider } } });
+    
+    res.json({ message: 'Provider unlinked' });
+  } catch (error) {
+    console.error('OIDC unlink error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,20 +1,55 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
+const { hasPermission } = require('../middleware/permissions');
+const Video = require('../models/Video');
 const Comment = require('../models/Comment');
 const Like = require('../models/Like');
+const Report = require('../models/Report');
+const { canViewVideo } = require('../utils/videoAccess');
+const { recordAudit } = require('../utils/audit');
+const { removeComment } = require('../utils/content');
+const { fileReport } = require('../utils/reports');
+const { trackVideoActivity } = require('../utils/analytics');
 
 const router = express.Router();
 
+// Find the comment in :id along with its video, answering 404 when either doesn't
+// exist, the comment is hidden (threads under it are hidden too) or the user may
+// not watch the video
+const findVisibleComment = async (req, res) => {
+  const comment = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Comment.findById(req.params.id)
+    : null;
+  const video = comment
+    ? await Video.findById(comment.video).select('user status visibility publishAt sharedWith hiddenAt')
+    : null;
+
+  if (!video || comment.hiddenAt || !canViewVideo(video, req.user)) {
+    res.status(404).json({ message: 'Comment not found' });
+    return {};
+  }
+
+  return { comment, video };
+};
+
 // @route   GET /api/comments/:id/replies
 // @desc    Get replies to a comment
 // @access  Public
-router.get('/:id/replies', async (req, res) => {
+router.get('/:id/replies', optionalAuth, async (req, res) => {
   try {
+    const { comment } = await findVisibleComment(req, res);
+    if (!comment) return;
+    
     const replies = await Comment.find({
       parentComment: req.params.id,
-      isReply: true
+      isReply: true,
+      hiddenAt: null
     })
       .sort({ createdAt: 1 })
       .populate('user', 'username avatar');
@@ -29,7 +64,7 @@ router.get('/:id/replies', async (req, res) => {
 // @route   POST /api/comments/:id/replies
 // @desc    Reply to a comment
 // @access  Private
-router.post('/:id/replies', auth, [
+router.post('/:id/replies', auth, requireVerified('comment'), rateLimit('comment'), [
   body('content').trim().not().isEmpty().withMessage('Reply content is required').isLength({ max: 1000 })
 ], async (req, res) => {
   // Check for validation errors
@@ -39,11 +74,8 @@ router.post('/:id/replies', auth, [
   }
 
   try {
-    const parentComment = await Comment.findById(req.params.id);
-    
-    if (!parentComment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
+    const { comment: parentComment, video } = await findVisibleComment(req, res);
+    if (!parentComment) return;
     
     const reply = new Comment({
       content: req.body.content,
@@ -55,6 +87,8 @@ router.post('/:id/replies', auth, [
     
     await reply.save();
     
+    trackVideoActivity(video, { comments: 1 });
+    
     // Add reply reference to parent comment
     parentComment.replies.push(reply._id);
     await parentComment.save();
@@ -72,13 +106,10 @@ router.post('/:id/replies', auth, [
 // @route   POST /api/comments/:id/like
 // @desc    Like a comment
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth, rateLimit('reaction'), async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.id);
-    
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
+    const { comment } = await findVisibleComment(req, res);
+    if (!comment) return;
     
     // Check if user already liked or disliked the comment
     const existingLike = await Like.findOne({
@@ -127,13 +158,10 @@ router.post('/:id/like', auth, async (req, res) => {
 // @route   POST /api/comments/:id/dislike
 // @desc    Dislike a comment
 // @access  Private
-router.post('/:id/dislike', auth, async (req, res) => {
+router.post('/:id/dislike', auth, rateLimit('reaction'), async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.id);
-    
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
+    const { comment } = await findVisibleComment(req, res);
+    if (!comment) return;
     
     // Check if user already liked or disliked the comment
     const existingLike = await Like.findOne({
@@ -179,10 +207,45 @@ router.post('/:id/dislike', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/comments/:id/report
+// @desc    Report a comment to the moderators
+// @access  Private
+router.post('/:id/report', auth, rateLimit('report'), [
+  body('reason').isIn(Report.REPORT_REASONS).withMessage('Invalid report reason'),
+  body('details').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const { comment } = await findVisibleComment(req, res);
+    if (!comment) return;
+    
+    await fileReport({
+      reporter: req.user,
+      targetType: 'comment',
+      target: comment,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+    
+    res.status(201).json({ message: 'Report submitted' });
+  } catch (error) {
+    if (error.code === 'ALREADY_REPORTED' || error.code === 'OWN_CONTENT') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Report comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/comments/:id
 // @desc    Delete a comment
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (author, moderators and admins)
+router.delete('/:id', auth, rateLimit('edit'), async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
     
@@ -190,27 +253,23 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Check if user owns the comment
-    if (comment.user.toString() !== req.user._id.toString()) {
+    // Authors delete their own comments; moderators and admins can remove anyone's.
+    // Comments kept from deleted accounts have no author.
+    const isAuthor = !!comment.user && comment.user.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(req.user, 'content:remove')) {
       return res.status(401).json({ message: 'Not authorized to delete this comment' });
     }
     
-    // If it's a parent comment, delete all replies
-    if (!comment.isReply) {
-      await Comment.deleteMany({ parentComment: comment._id });
-    } else {
-      // If it's a reply, remove from parent's replies array
-      await Comment.updateOne(
-        { _id: comment.parentComment },
-        { $pull: { replies: comment._id } }
-      );
-    }
+    await removeComment(comment);
     
-    // Delete likes
-    await Like.deleteMany({ comment: comment._id });
-    
-    // Delete comment
-    await Comment.deleteOne({ _id: comment._id });
+    if (!isAuthor) {
+      await recordAudit(req, {
+        action: 'comment.remove',
+        targetType: 'comment',
+        targetId: comment._id,
+        details: { content: comment.content, author: comment.user, video: comment.video }
+      });
+    }
     
     res.json({ message: 'Comment removed' });
   } catch (error) {
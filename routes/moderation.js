@@ -0,0 +1,148 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permissions');
+const { hasPermission } = requirePermission;
+const ModerationCase = require('../models/ModerationCase');
+const Report = require('../models/Report');
+const { attachTargets, resolveCase } = require('../utils/reports');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Load a case the current user may act on. Escalated cases are for admins only.
+// Sends the error response and returns null otherwise.
+const loadCase = async (req, res) => {
+  const moderationCase = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ModerationCase.findById(req.params.id)
+    : null;
+
+  if (!moderationCase) {
+    res.status(404).json({ message: 'Case not found' });
+    return null;
+  }
+
+  if (moderationCase.status === 'escalated' && !hasPermission(req.user, 'reports:review_escalated')) {
+    res.status(403).json({ message: 'This case was escalated to the admins', code: 'FORBIDDEN' });
+    return null;
+  }
+
+  return moderationCase;
+};
+
+// Handler for escalate, dismiss and remove
+const decide = action => async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const moderationCase = await loadCase(req, res);
+    if (!moderationCase) return;
+    
+    if (!['open', 'escalated'].includes(moderationCase.status)) {
+      return res.status(400).json({ message: 'This case has already been decided' });
+    }
+    
+    if (action === 'escalate' && moderationCase.status === 'escalated') {
+      return res.status(400).json({ message: 'This case is already escalated' });
+    }
+    
+    await resolveCase(moderationCase, req.user, action, req.body.note);
+    
+    await recordAudit(req, {
+      action: action === 'remove' ? `${moderationCase.targetType}.remove` : `report.${action}`,
+      targetType: moderationCase.targetType,
+      targetId: moderationCase.target,
+      details: { case: moderationCase._id, note: req.body.note }
+    });
+    
+    res.json(moderationCase);
+  } catch (error) {
+    console.error(`Moderation ${action} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const noteValidators = [
+  body('note').optional().trim().isLength({ max: 1000 })
+];
+
+// @route   GET /api/moderation/cases
+// @desc    Moderation queue: cases by status (default open), most reported first
+// @access  Private (moderator, admin)
+router.get('/cases', auth, requirePermission('reports:review'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const filter = {
+      status: ModerationCase.schema.path('status').enumValues.includes(req.query.status)
+        ? req.query.status
+        : 'open'
+    };
+    if (req.query.targetType === 'video' || req.query.targetType === 'comment') {
+      filter.targetType = req.query.targetType;
+    }
+    
+    const cases = await ModerationCase.find(filter)
+      .sort({ openReports: -1, lastReportedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('targetOwner', 'username avatar');
+    
+    res.json(await attachTargets(cases));
+  } catch (error) {
+    console.error('Get moderation cases error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/moderation/cases/:id
+// @desc    Get a case with the reported content and its reports
+// @access  Private (moderator, admin)
+router.get('/cases/:id', auth, requirePermission('reports:review'), async (req, res) => {
+  try {
+    const moderationCase = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ModerationCase.findById(req.params.id)
+        .populate('targetOwner', 'username avatar')
+        .populate('history.by', 'username')
+      : null;
+    
+    if (!moderationCase) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+    
+    const [result] = await attachTargets([moderationCase]);
+    const reports = await Report.find({ case: moderationCase._id })
+      .sort({ createdAt: -1 })
+      .populate('reporter', 'username avatar');
+    
+    res.json({ ...result, reports });
+  } catch (error) {
+    console.error('Get moderation case error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/moderation/cases/:id/escalate
+// @desc    Hand a case over to the admins
+// @access  Private (moderator, admin)
+router.post('/cases/:id/escalate', auth, requirePermission('reports:review'), noteValidators, decide('escalate'));
+
+// @route   POST /api/moderation/cases/:id/dismiss
+// @desc    Keep the content up (restores it if it was auto-hidden) and tell the reporters
+// @access  Private (moderator, admin; escalated cases admin only)
+router.post('/cases/:id/dismiss', auth, requirePermission('reports:review'), noteValidators, decide('dismiss'));
+
+// @route   POST /api/moderation/cases/:id/remove
+// @desc    Delete the reported content and tell the reporters
+// @access  Private (moderator, admin; escalated cases admin only)
+router.post('/cases/:id/remove', auth, requirePermission('reports:review'), noteValidators, decide('remove'));
+
+module.exports = router;
@@ -0,0 +1,370 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const Playlist = require('../models/Playlist');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const { canViewVideo } = require('../utils/videoAccess');
+const {
+  VIDEO_ACCESS_FIELDS,
+  isPlaylistOwner,
+  isCollaborator,
+  isSystemPlaylist,
+  canAddToPlaylist,
+  canViewPlaylist,
+  visibleItems,
+  summarizePlaylist
+} = require('../utils/playlistAccess');
+const { addPlaylistItem, movePlaylistItem } = require('../utils/playlists');
+
+const router = express.Router();
+
+// Validators for playlist details, shared by create and update.
+// With partial set, only the fields that are present are checked.
+const playlistValidators = ({ partial = false } = {}) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('title').trim().not().isEmpty().withMessage('Title is required').isLength({ max: 150 }),
+    body('description').optional().trim().isLength({ max: 5000 }),
+    body('visibility').optional().isIn(Video.VISIBILITIES).withMessage('Invalid visibility')
+  ];
+};
+
+// Load the playlist in :id, answering 404 when it doesn't exist or the user can't see it
+const loadPlaylist = async (req, res) => {
+  const playlist = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Playlist.findById(req.params.id)
+    : null;
+
+  if (!playlist || !canViewPlaylist(playlist, req.user)) {
+    res.status(404).json({ message: 'Playlist not found' });
+    return null;
+  }
+
+  return playlist;
+};
+
+// Playlist with its items as the viewer sees them
+const playlistResponse = async (playlist, user) => {
+  await playlist.populate([
+    { path: 'user', select: 'username avatar' },
+    { path: 'collaborators', select: 'username avatar' },
+    {
+      path: 'items.video',
+      select: `title thumbnailUrl duration views createdAt ${VIDEO_ACCESS_FIELDS}`,
+      populate: { path: 'user', select: 'username avatar' }
+    }
+  ]);
+
+  const result = playlist.toObject();
+  result.items = visibleItems(playlist, user).map(item => item.toObject());
+  return result;
+};
+
+// @route   POST /api/playlists
+// @desc    Create a playlist
+// @access  Private
+router.post('/', auth, rateLimit('edit'), playlistValidators(), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const { title, description, visibility } = req.body;
+    
+    const playlist = new Playlist({
+      title,
+      description,
+      visibility,
+      user: req.user._id
+    });
+    await playlist.save();
+    
+    res.status(201).json(playlist);
+  } catch (error) {
+    console.error('Create playlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/playlists
+// @desc    List the current user's playlists (Watch Later first) and the ones they collaborate on
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    // Make sure the built-in Watch Later queue is listed from the start
+    await Playlist.watchLaterFor(req.user._id);
+    
+    const playlists = await Playlist.find({
+      $or: [{ user: req.user._id }, { collaborators: req.user._id }]
+    })
+      .sort({ kind: -1, updatedAt: -1 })
+      .populate('user', 'username avatar')
+      .populate('items.video', `thumbnailUrl ${VIDEO_ACCESS_FIELDS}`);
+    
+    res.json(playlists.map(playlist => summarizePlaylist(playlist, req.user)));
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/playlists/:id
+// @desc    Get a playlist with its videos
+// @access  Public (private playlists: owner and collaborators)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    res.json(await playlistResponse(playlist, req.user));
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/playlists/:id
+// @desc    Update a playlist's title, description or visibility
+// @access  Private (owner only)
+router.patch('/:id', auth, rateLimit('edit'), playlistValidators({ partial: true }), async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    if (!isPlaylistOwner(playlist, req.user)) {
+      return res.status(401).json({ message: 'Not authorized to edit this playlist' });
+    }
+    
+    if (isSystemPlaylist(playlist)) {
+      return res.status(400).json({ message: 'Built-in playlists cannot be changed' });
+    }
+    
+    ['title', 'description', 'visibility'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        playlist[field] = req.body[field];
+      }
+    });
+    await playlist.save();
+    
+    res.json(playlist);
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/playlists/:id
+// @desc    Delete a playlist
+// @access  Private (owner only)
+router.delete('/:id', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    if (!isPlaylistOwner(playlist, req.user)) {
+      return res.status(401).json({ message: 'Not authorized to delete this playlist' });
+    }
+    
+    if (isSystemPlaylist(playlist)) {
+      return res.status(400).json({ message: 'Built-in playlists cannot be deleted' });
+    }
+    
+    await Playlist.deleteOne({ _id: playlist._id });
+    
+    res.json({ message: 'Playlist removed' });
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/playlists/:id/items
+// @desc    Add a video, at the end or at a 0-based position
+// @access  Private (owner and collaborators)
+router.post('/:id/items', auth, rateLimit('edit'), [
+  body('videoId').isMongoId().withMessage('Video ID is required'),
+  body('position').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    if (!canAddToPlaylist(playlist, req.user)) {
+      return res.status(401).json({ message: 'Not authorized to add to this playlist' });
+    }
+    
+    const video = await Video.findById(req.body.videoId);
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const item = await addPlaylistItem(playlist, video, req.user, req.body.position);
+    
+    res.status(201).json(item);
+  } catch (error) {
+    if (error.code === 'ALREADY_IN_PLAYLIST' || error.code === 'PLAYLIST_FULL') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add playlist item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/playlists/:id/items/:itemId
+// @desc    Move an item to a 0-based position
+// @access  Private (owner only)
+router.patch('/:id/items/:itemId', auth, rateLimit('edit'), [
+  body('position').isInt({ min: 0 }).withMessage('Position is required').toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    if (!isPlaylistOwner(playlist, req.user)) {
+      return res.status(401).json({ message: 'Not authorized to reorder this playlist' });
+    }
+    
+    const item = playlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    
+    await movePlaylistItem(playlist, item, req.body.position);
+    
+    res.json(playlist.items.map(entry => entry._id));
+  } catch (error) {
+    console.error('Move playlist item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/playlists/:id/items/:itemId
+// @desc    Remove an item
+// @access  Private (owner, or the collaborator who added it)
+router.delete('/:id/items/:itemId', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    const item = playlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    
+    const addedIt = isCollaborator(playlist, req.user) && item.addedBy && item.addedBy.equals(req.user._id);
+    if (!isPlaylistOwner(playlist, req.user) && !addedIt) {
+      return res.status(401).json({ message: 'Not authorized to remove this item' });
+    }
+    
+    playlist.items.pull(item._id);
+    await playlist.save();
+    
+    res.json({ message: 'Item removed' });
+  } catch (error) {
+    console.error('Remove playlist item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/playlists/:id/collaborators
+// @desc    Let another user add videos to the playlist
+// @access  Private (owner only)
+router.post('/:id/collaborators', auth, rateLimit('edit'), [
+  body('userId').isMongoId().withMessage('User ID is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    if (!isPlaylistOwner(playlist, req.user)) {
+      return res.status(401).json({ message: 'Not authorized to manage collaborators' });
+    }
+    
+    if (isSystemPlaylist(playlist)) {
+      return res.status(400).json({ message: 'Built-in playlists cannot be shared' });
+    }
+    
+    if (req.body.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You already own this playlist' });
+    }
+    
+    const collaborator = await User.findById(req.body.userId).select('username avatar');
+    if (!collaborator) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await Playlist.updateOne({ _id: playlist._id }, { $addToSet: { collaborators: collaborator._id } });
+    
+    res.json(collaborator);
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/playlists/:id/collaborators/:userId
+// @desc    Remove a collaborator (collaborators can remove themselves)
+// @access  Private (owner, or the collaborator)
+router.delete('/:id/collaborators/:userId', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    
+    const leaving = req.params.userId === req.user._id.toString();
+    if (!isPlaylistOwner(playlist, req.user) && !leaving) {
+      return res.status(401).json({ message: 'Not authorized to manage collaborators' });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+    
+    const result = await Playlist.updateOne(
+      { _id: playlist._id },
+      { $pull: { collaborators: req.params.userId } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+    
+    res.json({ message: 'Collaborator removed' });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
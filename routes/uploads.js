@@ -0,0 +1,354 @@
+
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
+const UploadSession = require('../models/UploadSession');
+const Video = require('../models/Video');
+const { scratchDir, removeFiles } = require('../utils/files');
+const { createVideo } = require('../utils/videoUpload');
+const {
+  getSessionFilePath,
+  nextExpiry,
+  removeUploadSession
+} = require('../utils/uploadSessions');
+
+const router = express.Router();
+
+const MAX_CHUNK_SIZE = parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE) || 1024 * 1024 * 64; // 64MB
+const RECOMMENDED_CHUNK_SIZE = 1024 * 1024 * 8; // 8MB
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+// Sessions that currently have a chunk being written to them
+const activeWrites = new Set();
+
+// Public view of an upload session
+const formatSession = (session) => ({
+  id: session._id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  expiresAt: session.expiresAt,
+  chunkSize: RECOMMENDED_CHUNK_SIZE,
+  maxChunkSize: MAX_CHUNK_SIZE
+});
+
+// Find an unexpired upload session owned by the current user
+const findSession = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  return UploadSession.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Parse an "Upload-Checksum: <algorithm> <base64 digest>" header
+const parseChecksum = (header) => {
+  const [algorithm, digest] = header.trim().split(/\s+/);
+
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    return null;
+  }
+
+  return { algorithm, digest };
+};
+
+// @route   POST /api/uploads
+// @desc    Start a resumable video upload session
+// @access  Private
+router.post('/', auth, requireVerified('upload'), rateLimit('upload'), [
+  body('filename').trim().not().isEmpty().withMessage('Filename is required'),
+  body('mimeType').matches(/^video\//).withMessage('Only video files are allowed'),
+  body('size').isInt({ min: 1 }).withMessage('File size is required'),
+  body('title').trim().not().isEmpty().withMessage('Title is required').isLength({ max: 100 }),
+  body('description').optional().trim().isLength({ max: 5000 }),
+  body('category').optional().isIn(Video.CATEGORIES),
+  body('visibility').optional().isIn(Video.VISIBILITIES).withMessage('Invalid visibility'),
+  body('publishAt').optional({ values: 'falsy' }).isISO8601().withMessage('publishAt must be a date').toDate()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const size = parseInt(req.body.size);
+    
+    if (size > req.user.getUploadSizeLimit()) {
+      return res.status(413).json({ message: 'Video exceeds your upload size limit' });
+    }
+    
+    const { filename, mimeType, title, description, category, tags, visibility, publishAt } = req.body;
+    
+    const session = new UploadSession({
+      user: req.user._id,
+      filename,
+      mimeType,
+      size,
+      title,
+      description,
+      category,
+      tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(tag => tag.trim()) : []),
+      visibility,
+      publishAt: publishAt || undefined,
+      expiresAt: nextExpiry()
+    });
+    
+    await session.save();
+    
+    // Chunks are written in place, so the file has to exist up front
+    await fs.promises.writeFile(getSessionFilePath(session), '');
+    
+    res.location(`/api/uploads/${session._id}`);
+    res.status(201).json(formatSession(session));
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   HEAD /api/uploads/:id
+// @desc    Get the current offset of an upload session (in headers)
+// @access  Private
+router.head('/:id', auth, async (req, res) => {
+  try {
+    const session = await findSession(req);
+    
+    if (!session) {
+      return res.status(404).end();
+    }
+    
+    res.set({
+      'Upload-Offset': session.offset,
+      'Upload-Length': session.size,
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  } catch (error) {
+    console.error('Get upload offset error:', error);
+    res.status(500).end();
+  }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Get an upload session, including the offset to resume from
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const session = await findSession(req);
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Upload session not found' });
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    res.json(formatSession(session));
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/uploads/:id
+// @desc    Append a chunk at the offset given in the Upload-Offset header.
+//          An optional "Upload-Checksum: <md5|sha1|sha256> <base64>" header is verified.
+// @access  Private
+router.patch('/:id', auth, async (req, res) => {
+  let session;
+  let filePath;
+  let locked = false;
+
+  try {
+    session = await findSession(req);
+    
+    if (!session || session.status === 'completing') {
+      return res.status(404).json({ message: 'Upload session not found' });
+    }
+    
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ message: 'Content-Type must be application/offset+octet-stream' });
+    }
+    
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    if (Number.isNaN(offset)) {
+      return res.status(400).json({ message: 'Upload-Offset header is required' });
+    }
+    
+    if (offset !== session.offset) {
+      return res.status(409).json({ message: 'Upload offset mismatch', offset: session.offset });
+    }
+    
+    let checksum = null;
+    if (req.get('Upload-Checksum')) {
+      checksum = parseChecksum(req.get('Upload-Checksum'));
+      if (!checksum) {
+        return res.status(400).json({ message: 'Unsupported or malformed Upload-Checksum header' });
+      }
+    }
+    
+    if (activeWrites.has(session.id)) {
+      return res.status(409).json({ message: 'Another chunk is being uploaded', offset: session.offset });
+    }
+    activeWrites.add(session.id);
+    locked = true;
+    
+    filePath = getSessionFilePath(session);
+    const maxBytes = Math.min(session.size - offset, MAX_CHUNK_SIZE);
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    let received = 0;
+    
+    // Count, limit and hash the bytes on their way to disk
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          const tooLarge = new Error('Chunk exceeds the remaining upload size or chunk limit');
+          tooLarge.code = 'CHUNK_TOO_LARGE';
+          return callback(tooLarge);
+        }
+        if (hash) hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    
+    try {
+      await pipeline(req, meter, fs.createWriteStream(filePath, { flags: 'r+', start: offset }));
+    } catch (error) {
+      // Drop whatever part of the chunk made it to disk
+      await fs.promises.truncate(filePath, offset);
+      
+      if (error.code === 'CHUNK_TOO_LARGE') {
+        return res.status(413).json({ message: error.message, offset });
+      }
+      throw error;
+    }
+    
+    if (hash && hash.digest('base64') !== checksum.digest) {
+      await fs.promises.truncate(filePath, offset);
+      return res.status(460).json({ message: 'Checksum mismatch', offset });
+    }
+    
+    session.offset = offset + received;
+    session.expiresAt = nextExpiry();
+    await session.save();
+    
+    res.set('Upload-Offset', session.offset);
+    res.json(formatSession(session));
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  } finally {
+    if (locked) {
+      activeWrites.delete(session.id);
+    }
+  }
+});
+
+// @route   POST /api/uploads/:id/complete
+// @desc    Finalize a fully received upload and create the video as a draft
+// @access  Private
+router.post('/:id/complete', auth, async (req, res) => {
+  try {
+    const session = await findSession(req);
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Upload session not found' });
+    }
+    
+    if (session.offset < session.size || activeWrites.has(session.id)) {
+      return res.status(400).json({ message: 'Upload is not complete', offset: session.offset });
+    }
+    
+    // Claim the session so a concurrent call can't move the file out from under us
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: { $ne: 'completing' } },
+      { $set: { status: 'completing' } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'Upload is already being completed' });
+    }
+    
+    // Give the assembled file the same kind of name multer uses
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = 'video-' + uniqueSuffix + path.extname(session.filename);
+    const videoPath = path.join(scratchDir('incoming'), filename);
+    try {
+      await fs.promises.rename(getSessionFilePath(session), videoPath);
+    } catch (error) {
+      await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'uploading' } });
+      throw error;
+    }
+    
+    let video;
+    try {
+      video = await createVideo({
+        user: req.user,
+        videoFile: { path: videoPath, filename },
+        fields: {
+          title: session.title,
+          description: session.description,
+          category: session.category,
+          tags: session.tags,
+          visibility: session.visibility,
+          publishAt: session.publishAt
+        }
+      });
+    } catch (error) {
+      await removeFiles([videoPath]);
+      await UploadSession.deleteOne({ _id: session._id });
+      
+      if (error.code === 'INVALID_VIDEO') {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+    
+    await UploadSession.deleteOne({ _id: session._id });
+    
+    // Populate user data
+    await video.populate('user', 'username avatar subscribers');
+    
+    res.status(201).json(video);
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({ message: 'Server error during video upload' });
+  }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Abort an upload session and discard received data
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await UploadSession.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+    
+    if (!session || session.status === 'completing') {
+      return res.status(404).json({ message: 'Upload session not found' });
+    }
+    
+    await removeUploadSession(session);
+    
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,461 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
 const upload = require('../middleware/upload');
 const User = require('../models/User');
 const Video = require('../models/Video');
 const Subscription = require('../models/Subscription');
+const Like = require('../models/Like');
+const Report = require('../models/Report');
+const Playlist = require('../models/Playlist');
+const WatchHistory = require('../models/WatchHistory');
+const { canViewVideo, publicVideoFilter, viewableVideoFilter } = require('../utils/videoAccess');
+const { VIDEO_ACCESS_FIELDS, summarizePlaylist } = require('../utils/playlistAccess');
+const storage = require('../storage');
+const { removeFiles, removeUploads, getUploadedFilePaths } = require('../utils/files');
+const { buildAccountExport } = require('../utils/accountExport');
+const { scheduleAccountDeletion, cancelAccountDeletion } = require('../utils/accountDeletion');
+const { continueWatchingFilter } = require('../utils/watchHistory');
+const { addPlaylistItem, movePlaylistItem } = require('../utils/playlists');
+const { trackChannelActivity } = require('../utils/analytics');
 
 const router = express.Router();
 
+// Profile fields anyone can see on a channel
+const PUBLIC_PROFILE_FIELDS = 'username avatar banner description subscribers views isVerified createdAt';
+
+// Video fields shown with watch history entries
+const HISTORY_VIDEO_FIELDS = 'title thumbnailUrl duration views createdAt user status visibility publishAt sharedWith hiddenAt';
+
+// Largest page the liked and Watch Later lists return
+const MAX_LIST_LIMIT = 100;
+
+// Keep the ids of videos that still exist and the user may watch, in their
+// original order, and return one page of them
+const pageViewableVideoIds = async (user, videoIds, skip, limit) => {
+  const viewable = await Video.find({ _id: { $in: videoIds }, ...viewableVideoFilter(user) })
+    .select('_id')
+    .lean();
+  const viewableIds = new Set(viewable.map(video => video._id.toString()));
+
+  return videoIds
+    .filter(id => viewableIds.has(id.toString()))
+    .slice(skip, skip + limit);
+};
+
+// Page through watch history entries matching a filter, most recent first,
+// leaving out videos the user can no longer watch
+const listHistory = async (req, filter) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const entries = await WatchHistory.find(filter)
+    .sort({ lastWatchedAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate({
+      path: 'video',
+      select: HISTORY_VIDEO_FIELDS,
+      populate: { path: 'user', select: 'username avatar' }
+    });
+
+  return entries
+    .filter(entry => entry.video && canViewVideo(entry.video, req.user))
+    .map(entry => ({
+      _id: entry._id,
+      video: entry.video,
+      position: entry.position,
+      duration: entry.duration,
+      watchedSeconds: entry.watchedSeconds,
+      completed: entry.completed,
+      lastWatchedAt: entry.lastWatchedAt
+    }));
+};
+
+// @route   GET /api/users/me/export
+// @desc    Download a .tar.gz archive of the current user's personal data
+// @access  Private
+router.get('/me/export', auth, rateLimit('export'), async (req, res) => {
+  try {
+    const { filename, archive } = await buildAccountExport(req.user);
+    
+    // Usernames may hold any characters; attachment() encodes them safely
+    res.attachment(filename);
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Length': archive.length
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Schedule the current account for deletion after a grace period
+// @access  Private
+router.delete('/me', auth, async (req, res) => {
+  try {
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+    
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is already scheduled' });
+    }
+    
+    // Accounts created through an identity provider have no password to confirm with
+    if (user.hasPassword && !(typeof req.body.password === 'string' && await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    
+    const scheduledFor = await scheduleAccountDeletion(user);
+    
+    res.status(202).json({
+      message: 'Your account will be deleted. Sign in and restore it before then to cancel',
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/restore
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/me/restore', auth, async (req, res) => {
+  try {
+    if (!req.user.deletion || !req.user.deletion.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is not scheduled' });
+    }
+    
+    await cancelAccountDeletion(req.user);
+    
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/reports
+// @desc    List the current user's reports and their outcomes
+// @access  Private
+router.get('/me/reports', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    
+    const reports = await Report.find({ reporter: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('case', 'targetLabel status');
+    
+    res.json(reports.map(report => ({
+      _id: report._id,
+      targetType: report.targetType,
+      target: report.target,
+      targetLabel: report.case ? report.case.targetLabel : '',
+      reason: report.reason,
+      details: report.details,
+      outcome: report.outcome,
+      createdAt: report.createdAt
+    })));
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/history
+// @desc    List the current user's watch history
+// @access  Private
+router.get('/me/history', auth, async (req, res) => {
+  try {
+    res.json(await listHistory(req, { user: req.user._id }));
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/history/continue
+// @desc    List videos the current user started but didn't finish, with resume positions
+// @access  Private
+router.get('/me/history/continue', auth, async (req, res) => {
+  try {
+    res.json(await listHistory(req, continueWatchingFilter(req.user._id)));
+  } catch (error) {
+    console.error('Get continue watching error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/history/pause
+// @desc    Stop adding watched videos to the history
+// @access  Private
+router.post('/me/history/pause', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { historyPaused: true });
+    
+    res.json({ historyPaused: true });
+  } catch (error) {
+    console.error('Pause history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/history/resume
+// @desc    Start adding watched videos to the history again
+// @access  Private
+router.post('/me/history/resume', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { historyPaused: false });
+    
+    res.json({ historyPaused: false });
+  } catch (error) {
+    console.error('Resume history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/me/history
+// @desc    Clear the current user's watch history
+// @access  Private
+router.delete('/me/history', auth, async (req, res) => {
+  try {
+    await WatchHistory.deleteMany({ user: req.user._id });
+    
+    res.json({ message: 'Watch history cleared' });
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/me/history/:videoId
+// @desc    Remove one video from the current user's watch history
+// @access  Private
+router.delete('/me/history/:videoId', auth, async (req, res) => {
+  try {
+    const result = await WatchHistory.deleteOne({
+      user: req.user._id,
+      video: req.params.videoId
+    });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'History entry not found' });
+    }
+    
+    res.json({ message: 'History entry removed' });
+  } catch (error) {
+    console.error('Remove history entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/liked
+// @desc    List videos the current user liked, most recently liked first
+// @access  Private
+router.get('/me/liked', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIST_LIMIT);
+    const skip = (page - 1) * limit;
+    
+    // Drop removed and no longer viewable videos before paginating
+    const likes = await Like.find({ user: req.user._id, type: 'like', video: { $ne: null } })
+      .sort({ createdAt: -1 })
+      .select('video')
+      .lean();
+    const pageIds = await pageViewableVideoIds(req.user, likes.map(like => like.video), skip, limit);
+    
+    const videos = await Video.find({ _id: { $in: pageIds } })
+      .populate('user', 'username avatar subscribers');
+    const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+    
+    res.json(pageIds.map(id => videosById.get(id.toString())).filter(Boolean));
+  } catch (error) {
+    console.error('Get liked videos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/watch-later
+// @desc    List the videos in the current user's Watch Later queue, in queue order
+// @access  Private
+router.get('/me/watch-later', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIST_LIMIT);
+    const skip = (page - 1) * limit;
+    
+    // Drop removed and no longer viewable videos before paginating
+    const playlist = await Playlist.watchLaterFor(req.user._id);
+    const pageIds = await pageViewableVideoIds(req.user, playlist.items.map(item => item.video), skip, limit);
+    const itemsById = new Map(playlist.items.map(item => [item.video.toString(), item]));
+    
+    const videos = await Video.find({ _id: { $in: pageIds } })
+      .populate('user', 'username avatar subscribers');
+    const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+    
+    res.json(pageIds
+      .map(id => ({ item: itemsById.get(id.toString()), video: videosById.get(id.toString()) }))
+      .filter(({ video }) => video)
+      .map(({ item, video }) => ({
+        ...video.toObject(),
+        addedAt: item.addedAt,
+        watchedAt: item.watchedAt
+      })));
+  } catch (error) {
+    console.error('Get watch later error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/watch-later
+// @desc    Add a video to the end (or a 0-based position) of the Watch Later queue
+// @access  Private
+router.post('/me/watch-later', auth, rateLimit('edit'), [
+  body('videoId').isMongoId().withMessage('Video ID is required'),
+  body('position').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const video = await Video.findById(req.body.videoId);
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const playlist = await Playlist.watchLaterFor(req.user._id);
+    const item = await addPlaylistItem(playlist, video, req.user, req.body.position);
+    
+    res.status(201).json(item);
+  } catch (error) {
+    if (error.code === 'ALREADY_IN_PLAYLIST' || error.code === 'PLAYLIST_FULL') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add to watch later error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find the Watch Later item for :videoId, answering 404 when it isn't queued
+const findWatchLaterItem = async (req, res) => {
+  const playlist = await Playlist.watchLaterFor(req.user._id);
+  const item = mongoose.Types.ObjectId.isValid(req.params.videoId)
+    ? playlist.items.find(entry => entry.video.equals(req.params.videoId))
+    : null;
+
+  if (!item) {
+    res.status(404).json({ message: 'Video is not in Watch Later' });
+    return {};
+  }
+
+  return { playlist, item };
+};
+
+// @route   PATCH /api/users/me/watch-later/:videoId
+// @desc    Move a video to a 0-based position in the Watch Later queue
+// @access  Private
+router.patch('/me/watch-later/:videoId', auth, rateLimit('edit'), [
+  body('position').isInt({ min: 0 }).withMessage('Position is required').toInt()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const { playlist, item } = await findWatchLaterItem(req, res);
+    if (!item) return;
+    
+    await movePlaylistItem(playlist, item, req.body.position);
+    
+    res.json(playlist.items.map(entry => entry.video));
+  } catch (error) {
+    console.error('Move watch later item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/watch-later/:videoId/watched
+// @desc    Mark a video in the Watch Later queue as watched
+// @access  Private
+router.post('/me/watch-later/:videoId/watched', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const { playlist, item } = await findWatchLaterItem(req, res);
+    if (!item) return;
+    
+    item.watchedAt = new Date();
+    await playlist.save();
+    
+    res.json(item);
+  } catch (error) {
+    console.error('Mark watch later item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/me/watch-later/:videoId
+// @desc    Remove a video from the Watch Later queue
+// @access  Private
+router.delete('/me/watch-later/:videoId', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const { playlist, item } = await findWatchLaterItem(req, res);
+    if (!item) return;
+    
+    playlist.items.pull(item._id);
+    await playlist.save();
+    
+    res.json({ message: 'Removed from Watch Later' });
+  } catch (error) {
+    console.error('Remove watch later item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/:id
-// @desc    Get user by ID
+// @desc    Get user by ID with their playlists
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    // Accounts waiting to be deleted are gone as far as everyone else is concerned
+    const user = await User.findOne({ _id: req.params.id, 'deletion.scheduledFor': null })
+      .select(PUBLIC_PROFILE_FIELDS);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user);
+    // The channel lists public playlists; owners also see their unlisted and private ones
+    const isOwner = req.user && req.user._id.equals(user._id);
+    const playlists = await Playlist.find({
+      user: user._id,
+      kind: 'custom',
+      ...(isOwner ? {} : { visibility: 'public' })
+    })
+      .sort({ updatedAt: -1 })
+      .populate('items.video', `thumbnailUrl ${VIDEO_ACCESS_FIELDS}`);
+    
+    res.json({
+      ...user.toObject(),
+      playlists: playlists.map(playlist => summarizePlaylist(playlist, req.user))
+    });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -41,6 +476,7 @@ router.put('/profile',
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeFiles(getUploadedFilePaths(req));
       return res.status(400).json({ errors: errors.array() });
     }
 
@@ -51,6 +487,7 @@ router.put('/profile',
       if (username) {
         const existingUser = await User.findOne({ username });
         if (existingUser && existingUser._id.toString() !== req.user._id.toString()) {
+          await removeFiles(getUploadedFilePaths(req));
           return res.status(400).json({ message: 'Username is already taken' });
         }
       }
@@ -60,7 +497,7 @@ router.put('/profile',
       
       if (username) updates.username = username;
       if (description) updates.description = description;
-      if (req.file) updates.avatar = `/uploads/avatars/${req.file.filename}`;
+      if (req.file) updates.avatar = await storage.storeUpload(req.file, 'avatars');
       
       const user = await User.findByIdAndUpdate(
         req.user._id,
@@ -68,9 +505,15 @@ router.put('/profile',
         { new: true }
       ).select('-password');
       
+      // Remove the avatar that was just replaced
+      if (req.file && req.user.avatar && req.user.avatar !== user.avatar) {
+        await removeUploads([req.user.avatar]);
+      }
+      
       res.json(user);
     } catch (error) {
       console.error('Update profile error:', error);
+      await removeFiles(getUploadedFilePaths(req));
       res.status(500).json({ message: 'Server error' });
     }
   }
@@ -114,6 +557,7 @@ router.post('/:id/subscribe', auth, async (req, res) => {
     await User.findByIdAndUpdate(req.params.id, {
       $inc: { subscribers: 1 }
     });
+    trackChannelActivity(subscription.channel, { subscribersGained: 1 });
     
     // Update user's subscribedTo array
     await User.findByIdAndUpdate(req.user._id, {
@@ -149,6 +593,7 @@ router.post('/:id/unsubscribe', auth, async (req, res) => {
     await User.findByIdAndUpdate(req.params.id, {
       $inc: { subscribers: -1 }
     });
+    trackChannelActivity(subscription.channel, { subscribersLost: 1 });
     
     // Update user's subscribedTo array
     await User.findByIdAndUpdate(req.user._id, {
@@ -209,7 +654,8 @@ router.get('/feed/subscriptions', auth, async (req, res) => {
     
     // Get videos from subscribed channels
     const videos = await Video.find({
-      user: { $in: channelIds }
+      user: { $in: channelIds },
+      ...publicVideoFilter()
     })
       .sort({ createdAt: -1 })
       .limit(50)
@@ -1,58 +1,122 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
+const { hasPermission } = require('../middleware/permissions');
 const upload = require('../middleware/upload');
 const Video = require('../models/Video');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
 const Like = require('../models/Like');
+const VideoRevision = require('../models/VideoRevision');
+const Report = require('../models/Report');
+const { isVideoOwner, canViewVideo, publicVideoFilter } = require('../utils/videoAccess');
+const streamFile = require('../utils/streamFile');
+const storage = require('../storage');
+const { enqueueTranscode } = require('../utils/transcodeQueue');
+const {
+  removeFiles,
+  storedFileExists,
+  removeReplacedThumbnail,
+  getUploadedFilePaths
+} = require('../utils/files');
+const { createVideo } = require('../utils/videoUpload');
+const { removeVideo } = require('../utils/content');
+const { fileReport } = require('../utils/reports');
+const { recordAudit } = require('../utils/audit');
+const { signMediaToken } = require('../utils/tokens');
+const { recordProgress, getCompletedVideoIds, getWatchInterests } = require('../utils/watchHistory');
+const { recordPlayback } = require('../utils/viewCounter');
+const { trackPlayback, trackVideoActivity } = require('../utils/analytics');
 
 const router = express.Router();
 
+// Redirect media requests to signed storage URLs instead of proxying the bytes
+const SIGNED_REDIRECTS = process.env.STORAGE_SIGNED_REDIRECTS === 'true';
+const SIGNED_URL_TTL = 60 * 60; // seconds
+
+// Validators for video metadata, shared by the upload and edit routes.
+// With partial set, only the fields that are present are checked.
+const videoValidators = ({ partial = false } = {}) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('title').trim().not().isEmpty().withMessage('Title is required').isLength({ max: 100 }),
+    field('description').trim().isLength({ max: 5000 }),
+    field('category').isIn(Video.CATEGORIES),
+    body('visibility').optional().isIn(Video.VISIBILITIES).withMessage('Invalid visibility'),
+    // An empty value clears a scheduled release
+    body('publishAt').optional({ values: 'falsy' }).isISO8601().withMessage('publishAt must be a date').toDate()
+  ];
+};
+
+// Accept tags either as an array or as a comma-separated string
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : tags.split(',');
+  return list.map(tag => tag.trim()).filter(Boolean);
+};
+
 // @route   POST /api/videos
-// @desc    Upload a new video
+// @desc    Upload a new video (saved as a draft until published)
 // @access  Private
 router.post('/', 
   auth, 
-  upload.fields([
+  requireVerified('upload'),
+  rateLimit('upload'),
+  upload.videoFields([
     { name: 'video', maxCount: 1 },
     { name: 'thumbnail', maxCount: 1 }
   ]),
-  [
-    body('title').trim().not().isEmpty().withMessage('Title is required').isLength({ max: 100 }),
-    body('description').trim().isLength({ max: 5000 }),
-    body('category').isIn(['entertainment', 'music', 'education', 'sports', 'gaming', 'technology', 'travel', 'comedy', 'news'])
-  ],
+  videoValidators(),
   async (req, res) => {
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeFiles(getUploadedFilePaths(req));
       return res.status(400).json({ errors: errors.array() });
     }
 
     try {
       // Check if files were uploaded
-      if (!req.files || !req.files.video || !req.files.thumbnail) {
-        return res.status(400).json({ message: 'Video and thumbnail are required' });
+      if (!req.files || !req.files.video) {
+        await removeFiles(getUploadedFilePaths(req));
+        return res.status(400).json({ message: 'Video file is required' });
       }
 
-      const { title, description, category, tags } = req.body;
-      const videoPath = `/uploads/videos/${req.files.video[0].filename}`;
-      const thumbnailPath = `/uploads/thumbnails/${req.files.thumbnail[0].filename}`;
-      
-      // Create video document
-      const video = new Video({
-        title,
-        description,
-        category: category || 'entertainment',
-        user: req.user._id,
-        videoUrl: videoPath,
-        thumbnailUrl: thumbnailPath,
-        tags: tags ? tags.split(',').map(tag => tag.trim()) : []
-      });
+      // Multer capped every file at the video limit; thumbnails keep the image cap
+      if (req.files.thumbnail && req.files.thumbnail[0].size > upload.IMAGE_SIZE_LIMIT) {
+        await removeFiles(getUploadedFilePaths(req));
+        return res.status(413).json({ message: 'Thumbnail is too large' });
+      }
 
-      await video.save();
+      const { title, description, category, tags, visibility, publishAt } = req.body;
+
+      let video;
+      try {
+        video = await createVideo({
+          user: req.user,
+          videoFile: req.files.video[0],
+          thumbnailFile: req.files.thumbnail && req.files.thumbnail[0],
+          fields: {
+            title,
+            description,
+            category,
+            tags: tags ? parseTags(tags) : [],
+            visibility,
+            publishAt: publishAt || undefined
+          }
+        });
+      } catch (error) {
+        if (error.code !== 'INVALID_VIDEO') throw error;
+
+        await removeFiles(getUploadedFilePaths(req));
+        return res.status(400).json({ message: error.message });
+      }
 
       // Populate user data
       await video.populate('user', 'username avatar subscribers');
@@ -61,21 +125,27 @@ router.post('/',
 
     } catch (error) {
       console.error('Video upload error:', error);
+      await removeFiles(getUploadedFilePaths(req));
       res.status(500).json({ message: 'Server error during video upload' });
     }
   }
 );
 
 // @route   GET /api/videos
-// @desc    Get all videos (with pagination)
+// @desc    Get all videos (with pagination). Signed-in users don't see videos they finished.
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
     
-    const videos = await Video.find()
+    const filter = publicVideoFilter();
+    if (req.user) {
+      filter._id = { $nin: await getCompletedVideoIds(req.user._id) };
+    }
+    
+    const videos = await Video.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -88,99 +158,569 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/videos/search
+// @desc    Search videos
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    const { q, sort } = req.query;
+    
+    if (!q) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+    
+    let sortOption = { score: { $meta: 'textScore' } };
+    
+    // Apply different sorting if specified
+    if (sort === 'date') {
+      sortOption = { createdAt: -1 };
+    } else if (sort === 'views') {
+      sortOption = { views: -1 };
+    } else if (sort === 'rating') {
+      sortOption = { likes: -1 };
+    }
+    
+    const videos = await Video.find(
+      { $text: { $search: q }, ...publicVideoFilter() },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort(sortOption)
+      .limit(50)
+      .populate('user', 'username avatar subscribers');
+    
+    res.json(videos);
+  } catch (error) {
+    console.error('Search videos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/videos/drafts
+// @desc    Get the current user's unpublished drafts
+// @access  Private
+router.get('/drafts', auth, async (req, res) => {
+  try {
+    const videos = await Video.find({ user: req.user._id, status: 'draft' })
+      .sort({ createdAt: -1 })
+      .populate('user', 'username avatar subscribers');
+    
+    res.json(videos);
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/videos/shared
+// @desc    Get private or unreleased videos other users shared with the current user
+// @access  Private
+router.get('/shared', auth, async (req, res) => {
+  try {
+    const videos = await Video.find({ sharedWith: req.user._id, hiddenAt: null })
+      .sort({ createdAt: -1 })
+      .populate('user', 'username avatar subscribers');
+    
+    res.json(videos);
+  } catch (error) {
+    console.error('Get shared videos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/videos/:id
 // @desc    Get a single video by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const video = await Video.findById(req.params.id)
       .populate('user', 'username avatar subscribers');
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Increment view count
-    video.views += 1;
+    res.json(video);
+  } catch (error) {
+    console.error('Get video error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/videos/:id/media-token
+// @desc    Get a short-lived token for playing this video through ?token= media URLs
+// @access  Private
+router.post('/:id/media-token', auth, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const token = signMediaToken(req.user, req.authSession, video);
+    const query = `?token=${encodeURIComponent(token)}`;
+    
+    res.json({
+      token,
+      streamUrl: `/api/videos/${video._id}/stream${query}`,
+      hlsUrl: video.hlsUrl ? `${video.hlsUrl}${query}` : null
+    });
+  } catch (error) {
+    console.error('Media token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/videos/:id/stream
+// @desc    Stream a video file (supports Range and conditional requests)
+// @access  Public (private videos: owner only)
+router.get('/:id/stream', optionalAuth.forMedia, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const key = storage.getKey(video.videoUrl);
+    
+    // Let the client fetch straight from storage when configured (e.g. S3)
+    if (SIGNED_REDIRECTS) {
+      return res.redirect(await storage.getSignedUrl(key, { expiresIn: SIGNED_URL_TTL }));
+    }
+    
+    await streamFile(req, res, key);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'Video file not found' });
+    }
+    console.error('Stream video error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @route   GET /api/videos/:id/hls/*
+// @desc    Serve HLS playlists and segments for a processed video
+// @access  Public (private videos: owner only)
+router.get('/:id/hls/*', optionalAuth.forMedia, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    if (!video.processing || video.processing.status !== 'ready') {
+      return res.status(409).json({ message: 'Video is still processing' });
+    }
+    
+    // Reject anything that would escape the video's HLS directory
+    const relativePath = path.posix.normalize(req.params[0]);
+    if (relativePath.startsWith('..') || path.posix.isAbsolute(relativePath)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    const key = `hls/${video._id}/${relativePath}`;
+    
+    // Playlists always go through here; segments may come straight from storage
+    if (SIGNED_REDIRECTS && !key.endsWith('.m3u8')) {
+      return res.redirect(await storage.getSignedUrl(key, { expiresIn: SIGNED_URL_TTL }));
+    }
+    
+    if (key.endsWith('.m3u8') && typeof req.query.token === 'string') {
+      // Players resolve playlist entries relative to the playlist URL but drop its query,
+      // so carry the media token onto every entry for private videos
+      const playlist = (await storage.readFile(key)).toString('utf8');
+      const token = encodeURIComponent(req.query.token);
+      const rewritten = playlist
+        .split('\n')
+        .map(line => (line && !line.startsWith('#') ? `${line}?token=${token}` : line))
+        .join('\n');
+      
+      res.set('Cache-Control', 'private, no-cache');
+      return res.type('application/vnd.apple.mpegurl').send(rewritten);
+    }
+    
+    await streamFile(req, res, key);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    console.error('Serve HLS error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @route   GET /api/videos/:id/processing
+// @desc    Get transcoding status and progress for a video
+// @access  Private (owner only)
+router.get('/:id/processing', auth, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id).select('user processing hlsUrl renditions');
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    res.json({
+      status: video.processing ? video.processing.status : undefined,
+      progress: video.processing ? video.processing.progress : 0,
+      error: video.processing ? video.processing.error : undefined,
+      hlsUrl: video.hlsUrl,
+      renditions: video.renditions
+    });
+  } catch (error) {
+    console.error('Get processing status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/videos/:id/reprocess
+// @desc    Queue a video for transcoding again (e.g. after a failure)
+// @access  Private (owner only)
+router.post('/:id/reprocess', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const status = video.processing && video.processing.status;
+    if (status === 'queued' || status === 'processing') {
+      return res.status(400).json({ message: 'Video is already being processed' });
+    }
+    
+    video.processing = { status: 'queued', progress: 0 };
     await video.save();
     
+    enqueueTranscode(video._id);
+    
+    res.json({ message: 'Video queued for processing', processing: video.processing });
+  } catch (error) {
+    console.error('Reprocess video error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/videos/:id/thumbnail
+// @desc    Choose one of the generated thumbnail candidates
+// @access  Private (owner only)
+router.put('/:id/thumbnail', auth, rateLimit('edit'), [
+  body('index').isInt({ min: 0 }).withMessage('Candidate index is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const candidate = video.thumbnailCandidates[parseInt(req.body.index)];
+    if (!candidate) {
+      return res.status(400).json({ message: 'Thumbnail candidate not found' });
+    }
+    
+    if (candidate !== video.thumbnailUrl) {
+      const previous = VideoRevision.takeSnapshot(video);
+      const replaced = video.thumbnailUrl;
+      
+      video.thumbnailUrl = candidate;
+      await video.save();
+      await VideoRevision.record(video, req.user, { previous, changedFields: ['thumbnailUrl'] });
+      
+      await removeReplacedThumbnail(video, replaced);
+    }
+    
+    res.json({ thumbnailUrl: video.thumbnailUrl, thumbnailCandidates: video.thumbnailCandidates });
+  } catch (error) {
+    console.error('Select thumbnail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/videos/:id
+// @desc    Update video metadata and/or replace the thumbnail
+// @access  Private (owner only)
+router.patch('/:id',
+  auth,
+  rateLimit('edit'),
+  upload.single('thumbnail'),
+  videoValidators({ partial: true }),
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeFiles(getUploadedFilePaths(req));
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const video = await Video.findById(req.params.id);
+      
+      if (!video) {
+        await removeFiles(getUploadedFilePaths(req));
+        return res.status(404).json({ message: 'Video not found' });
+      }
+      
+      // Check if user owns the video
+      if (!isVideoOwner(video, req.user)) {
+        await removeFiles(getUploadedFilePaths(req));
+        return res.status(401).json({ message: 'Not authorized to update this video' });
+      }
+      
+      const previous = VideoRevision.takeSnapshot(video);
+      const replacedThumbnail = video.thumbnailUrl;
+      const { title, description, category, tags } = req.body;
+      
+      if (title !== undefined) video.title = title;
+      if (description !== undefined) video.description = description;
+      if (category !== undefined) video.category = category;
+      if (tags !== undefined) video.tags = parseTags(tags);
+      if (req.file) video.thumbnailUrl = await storage.storeUpload(req.file, 'thumbnails');
+      if (req.body.visibility !== undefined) video.visibility = req.body.visibility;
+      if (req.body.publishAt !== undefined) video.publishAt = req.body.publishAt || null;
+      
+      // Only metadata changes are recorded in the revision history
+      const changedFields = VideoRevision.TRACKED_FIELDS.filter(field => video.isModified(field));
+      
+      if (video.isModified()) {
+        await video.save();
+      }
+      
+      if (changedFields.length > 0) {
+        await VideoRevision.record(video, req.user, { previous, changedFields });
+      }
+      
+      if (req.file) {
+        await removeReplacedThumbnail(video, replacedThumbnail);
+      }
+      
+      // Populate user data
+      await video.populate('user', 'username avatar subscribers');
+      
+      res.json(video);
+    } catch (error) {
+      console.error('Update video error:', error);
+      await removeFiles(getUploadedFilePaths(req));
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/videos/:id/revisions
+// @desc    List the metadata revision history of a video
+// @access  Private (owner only)
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const revisions = await VideoRevision.find({ video: video._id })
+      .sort({ version: -1 })
+      .populate('editor', 'username avatar');
+    
+    res.json(revisions);
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/videos/:id/revisions/:version/restore
+// @desc    Roll video metadata back to an earlier revision (recorded as a new revision)
+// @access  Private (owner only)
+router.post('/:id/revisions/:version/restore', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const revision = await VideoRevision.findOne({
+      video: video._id,
+      version: parseInt(req.params.version)
+    });
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    
+    const currentThumbnail = video.thumbnailUrl;
+    VideoRevision.TRACKED_FIELDS.forEach((field) => {
+      video[field] = revision.snapshot[field];
+    });
+    
+    // Custom thumbnails are deleted once replaced, so keep the current one if the old file is gone
+    if (video.isModified('thumbnailUrl') && !(await storedFileExists(video.thumbnailUrl))) {
+      video.thumbnailUrl = currentThumbnail;
+    }
+    
+    const changedFields = VideoRevision.TRACKED_FIELDS.filter(field => video.isModified(field));
+    
+    if (changedFields.length > 0) {
+      await video.save();
+      await VideoRevision.record(video, req.user, { changedFields, restoredFrom: revision.version });
+    }
+    
+    // Populate user data
+    await video.populate('user', 'username avatar subscribers');
+    
     res.json(video);
   } catch (error) {
-    console.error('Get video error:', error);
+    console.error('Restore revision error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET /api/videos/user/:userId
-// @desc    Get videos by user ID
-// @access  Public
-router.get('/user/:userId', async (req, res) => {
+// @route   POST /api/videos/:id/publish
+// @desc    Publish a draft (it still respects visibility and a scheduled publishAt)
+// @access  Private (owner only)
+router.post('/:id/publish', auth, rateLimit('edit'), async (req, res) => {
   try {
-    const videos = await Video.find({ user: req.params.userId })
-      .sort({ createdAt: -1 })
-      .populate('user', 'username avatar subscribers');
+    const video = await Video.findById(req.params.id);
     
-    res.json(videos);
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    if (video.status !== 'draft') {
+      return res.status(400).json({ message: 'Video is already published' });
+    }
+    
+    if (video.processing && video.processing.status === 'failed') {
+      return res.status(400).json({ message: 'Video processing failed; reprocess it before publishing' });
+    }
+    
+    video.status = 'published';
+    video.publishedAt = new Date();
+    await video.save();
+    
+    // Populate user data
+    await video.populate('user', 'username avatar subscribers');
+    
+    res.json(video);
   } catch (error) {
-    console.error('Get user videos error:', error);
+    console.error('Publish video error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET /api/videos/search
-// @desc    Search videos
-// @access  Public
-router.get('/search', async (req, res) => {
+// @route   POST /api/videos/:id/share
+// @desc    Let another user watch a private or unreleased video
+// @access  Private (owner only)
+router.post('/:id/share', auth, rateLimit('edit'), [
+  body('userId').isMongoId().withMessage('A valid user id is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { q, sort } = req.query;
+    const video = await Video.findById(req.params.id);
     
-    if (!q) {
-      return res.status(400).json({ message: 'Search query is required' });
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
     }
     
-    let sortOption = { score: { $meta: 'textScore' } };
+    const user = await User.findById(req.body.userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    // Apply different sorting if specified
-    if (sort === 'date') {
-      sortOption = { createdAt: -1 };
-    } else if (sort === 'views') {
-      sortOption = { views: -1 };
-    } else if (sort === 'rating') {
-      sortOption = { likes: -1 };
+    await Video.updateOne({ _id: video._id }, { $addToSet: { sharedWith: user._id } });
+    
+    res.json({ message: 'Video shared' });
+  } catch (error) {
+    console.error('Share video error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/videos/:id/share/:userId
+// @desc    Stop sharing a video with a user
+// @access  Private (owner only)
+router.delete('/:id/share/:userId', auth, rateLimit('edit'), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !isVideoOwner(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
     }
     
-    const videos = await Video.find(
-      { $text: { $search: q } },
-      { score: { $meta: 'textScore' } }
-    )
-      .sort(sortOption)
-      .limit(50)
+    await Video.updateOne({ _id: video._id }, { $pull: { sharedWith: req.params.userId } });
+    
+    res.json({ message: 'Video no longer shared' });
+  } catch (error) {
+    console.error('Unshare video error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/videos/user/:userId
+// @desc    Get videos by user ID (the owner also sees unlisted, private and scheduled ones)
+// @access  Public
+router.get('/user/:userId', optionalAuth, async (req, res) => {
+  try {
+    const isOwner = req.user && req.user._id.toString() === req.params.userId;
+    const filter = isOwner ? {} : publicVideoFilter();
+    
+    const videos = await Video.find({ user: req.params.userId, ...filter })
+      .sort({ createdAt: -1 })
       .populate('user', 'username avatar subscribers');
     
     res.json(videos);
   } catch (error) {
-    console.error('Search videos error:', error);
+    console.error('Get user videos error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   GET /api/videos/:id/recommended
-// @desc    Get recommended videos based on current video
+// @desc    Get recommended videos based on current video and the viewer's watch history
 // @access  Public
-router.get('/:id/recommended', async (req, res) => {
+router.get('/:id/recommended', optionalAuth, async (req, res) => {
   try {
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
     // Find videos with same category or tags, excluding current video
+    const excluded = [video._id];
+    const categories = [video.category];
+    const tags = [...video.tags];
+    
+    // Signed-in viewers also get videos like the ones they watched, minus those they finished
+    if (req.user) {
+      const interests = await getWatchInterests(req.user._id);
+      excluded.push(...await getCompletedVideoIds(req.user._id));
+      categories.push(...interests.categories);
+      tags.push(...interests.tags);
+    }
+    
     const recommendedVideos = await Video.find({
-      _id: { $ne: video._id },
+      ...publicVideoFilter(),
+      _id: { $nin: excluded },
       $or: [
-        { category: video.category },
-        { tags: { $in: video.tags } }
+        { category: { $in: categories } },
+        { tags: { $in: tags } }
       ]
     })
       .sort({ views: -1 })
@@ -194,14 +734,60 @@ router.get('/:id/recommended', async (req, res) => {
   }
 });
 
+// @route   POST /api/videos/:id/progress
+// @desc    Record a playback progress heartbeat: counts the view once enough was played,
+//          and updates the watch history of signed-in viewers
+// @access  Public
+router.post('/:id/progress', optionalAuth, rateLimit('progress'), [
+  body('position').isFloat({ min: 0 }).withMessage('Position is required').toFloat(),
+  body('watched').optional().isFloat({ min: 0 }).toFloat()
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const video = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Video.findById(req.params.id)
+      : null;
+    
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const playback = await recordPlayback(req, video, req.body.watched);
+    const { viewCounted } = playback;
+    
+    // Watch time and retention for the creator's analytics
+    trackPlayback(video, { ...playback, position: req.body.position });
+    
+    const entry = req.user ? await recordProgress(req.user, video, req.body) : null;
+    if (!entry) {
+      return res.json({ recorded: false, viewCounted });
+    }
+    
+    res.json({
+      recorded: true,
+      viewCounted,
+      position: entry.position,
+      completed: entry.completed
+    });
+  } catch (error) {
+    console.error('Record progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/videos/:id/like
 // @desc    Like a video
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth, rateLimit('reaction'), async (req, res) => {
   try {
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
@@ -216,6 +802,7 @@ router.post('/:id/like', auth, async (req, res) => {
       await Like.deleteOne({ _id: existingLike._id });
       video.likes -= 1;
       await video.save();
+      trackVideoActivity(video, { likes: -1 });
       return res.json({ message: 'Like removed', video });
     }
     
@@ -226,6 +813,7 @@ router.post('/:id/like', auth, async (req, res) => {
       video.likes += 1;
       video.dislikes -= 1;
       await video.save();
+      trackVideoActivity(video, { likes: 1, dislikes: -1 });
       return res.json({ message: 'Changed dislike to like', video });
     }
     
@@ -241,6 +829,7 @@ router.post('/:id/like', auth, async (req, res) => {
     // Update video like count
     video.likes += 1;
     await video.save();
+    trackVideoActivity(video, { likes: 1 });
     
     res.json({ message: 'Video liked', video });
   } catch (error) {
@@ -252,11 +841,11 @@ router.post('/:id/like', auth, async (req, res) => {
 // @route   POST /api/videos/:id/dislike
 // @desc    Dislike a video
 // @access  Private
-router.post('/:id/dislike', auth, async (req, res) => {
+router.post('/:id/dislike', auth, rateLimit('reaction'), async (req, res) => {
   try {
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
@@ -271,6 +860,7 @@ router.post('/:id/dislike', auth, async (req, res) => {
       await Like.deleteOne({ _id: existingLike._id });
       video.dislikes -= 1;
       await video.save();
+      trackVideoActivity(video, { dislikes: -1 });
       return res.json({ message: 'Dislike removed', video });
     }
     
@@ -281,6 +871,7 @@ router.post('/:id/dislike', auth, async (req, res) => {
       video.likes -= 1;
       video.dislikes += 1;
       await video.save();
+      trackVideoActivity(video, { likes: -1, dislikes: 1 });
       return res.json({ message: 'Changed like to dislike', video });
     }
     
@@ -296,6 +887,7 @@ router.post('/:id/dislike', auth, async (req, res) => {
     // Update video dislike count
     video.dislikes += 1;
     await video.save();
+    trackVideoActivity(video, { dislikes: 1 });
     
     res.json({ message: 'Video disliked', video });
   } catch (error) {
@@ -331,11 +923,18 @@ router.get('/:id/like-status', auth, async (req, res) => {
 // @route   GET /api/videos/:id/comments
 // @desc    Get comments for a video
 // @access  Public
-router.get('/:id/comments', async (req, res) => {
+router.get('/:id/comments', optionalAuth, async (req, res) => {
   try {
+    const video = await Video.findById(req.params.id).select('user status visibility publishAt sharedWith hiddenAt');
+    
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
     const comments = await Comment.find({
       video: req.params.id,
-      isReply: false
+      isReply: false,
+      hiddenAt: null
     })
       .sort({ createdAt: -1 })
       .populate('user', 'username avatar');
@@ -350,7 +949,7 @@ router.get('/:id/comments', async (req, res) => {
 // @route   POST /api/videos/:id/comments
 // @desc    Add a comment to a video
 // @access  Private
-router.post('/:id/comments', auth, [
+router.post('/:id/comments', auth, requireVerified('comment'), rateLimit('comment'), [
   body('content').trim().not().isEmpty().withMessage('Comment content is required').isLength({ max: 1000 })
 ], async (req, res) => {
   // Check for validation errors
@@ -362,7 +961,7 @@ router.post('/:id/comments', auth, [
   try {
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !canViewVideo(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
@@ -373,6 +972,7 @@ router.post('/:id/comments', auth, [
     });
     
     await comment.save();
+    trackVideoActivity(video, { comments: 1 });
     
     // Populate user data
     await comment.populate('user', 'username avatar');
@@ -384,10 +984,48 @@ router.post('/:id/comments', auth, [
   }
 });
 
+// @route   POST /api/videos/:id/report
+// @desc    Report a video to the moderators
+// @access  Private
+router.post('/:id/report', auth, rateLimit('report'), [
+  body('reason').isIn(Report.REPORT_REASONS).withMessage('Invalid report reason'),
+  body('details').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  try {
+    const video = await Video.findById(req.params.id);
+    
+    if (!video || !canViewVideo(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    await fileReport({
+      reporter: req.user,
+      targetType: 'video',
+      target: video,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+    
+    res.status(201).json({ message: 'Report submitted' });
+  } catch (error) {
+    if (error.code === 'ALREADY_REPORTED' || error.code === 'OWN_CONTENT') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Report video error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/videos/:id
 // @desc    Delete a video
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (owner, moderators and admins)
+router.delete('/:id', auth, rateLimit('edit'), async (req, res) => {
   try {
     const video = await Video.findById(req.params.id);
     
@@ -395,19 +1033,22 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Check if user owns the video
-    if (video.user.toString() !== req.user._id.toString()) {
+    // Owners delete their own videos; moderators and admins can remove anyone's
+    const isOwner = isVideoOwner(video, req.user);
+    if (!isOwner && !hasPermission(req.user, 'content:remove')) {
       return res.status(401).json({ message: 'Not authorized to delete this video' });
     }
     
-    // Delete comments
-    await Comment.deleteMany({ video: video._id });
-    
-    // Delete likes
-    await Like.deleteMany({ video: video._id });
+    await removeVideo(video);
     
-    // Delete video
-    await Video.deleteOne({ _id: video._id });
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: 'video.remove',
+        targetType: 'video',
+        targetId: video._id,
+        details: { title: video.title, owner: video.user }
+      });
+    }
     
     res.json({ message: 'Video removed' });
   } catch (error) {
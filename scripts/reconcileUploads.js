@@ -0,0 +1,30 @@
+
+// Delete stored files and stale scratch files that no document references.
+// Usage: node scripts/reconcileUploads.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const reconcileUploads = require('../utils/reconcileUploads');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await reconcileUploads({ dryRun });
+
+  const action = dryRun ? 'would delete' : 'deleted';
+  report.orphans.forEach((orphan) => {
+    console.log(`${action} ${orphan.key} (${orphan.size} bytes)`);
+  });
+  report.scratchOrphans.forEach((orphan) => {
+    console.log(`${action} scratch file ${orphan.path} (${orphan.size} bytes)`);
+  });
+  console.log(`Scanned ${report.scanned} stored files, ${report.orphans.length + report.scratchOrphans.length} orphaned (${report.totalSize} bytes)${dryRun ? ' [dry run]' : ''}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Reconcile uploads error:', err);
+  process.exit(1);
+});
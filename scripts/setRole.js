@@ -0,0 +1,37 @@
+
+// Give a user a role, e.g. to appoint the first admin.
+// Usage: node scripts/setRole.js <email> <user|moderator|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Usage: node scripts/setRole.js <email> <${User.ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+
+  if (user) {
+    console.log(`${user.username} <${user.email}> is now ${role}`);
+  } else {
+    console.error(`No user with email ${email}`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Set role error:', err);
+  process.exit(1);
+});
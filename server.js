@@ -5,13 +5,21 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const videoRoutes = require('./routes/videos');
 const userRoutes = require('./routes/users');
 const commentRoutes = require('./routes/comments');
+const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const moderationRoutes = require('./routes/moderation');
+const playlistRoutes = require('./routes/playlists');
+const analyticsRoutes = require('./routes/analytics');
+const { resumePendingTranscodes } = require('./utils/transcodeQueue');
+const { startUploadSessionCleanup } = require('./utils/uploadSessions');
+const { startAccountDeletionSweep } = require('./utils/accountDeletion');
+const storage = require('./storage');
 
 // Initialize express app
 const app = express();
@@ -20,29 +28,68 @@ const app = express();
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+
+    // Pick up transcoding jobs interrupted by the last shutdown
+    resumePendingTranscodes().catch((err) => {
+      console.error('Resume transcodes error:', err);
+    });
+
+    // Remove abandoned resumable uploads
+    startUploadSessionCleanup();
+
+    // Delete accounts whose deletion grace period has ended
+    startAccountDeletionSweep();
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
   });
 
+// Behind a reverse proxy, TRUST_PROXY (a hop count or "true") makes req.ip the
+// client address so per-IP rate limits and session details see real clients
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(helmet({
   crossOriginResourcePolicy: false,
 }));
+// Keep media tokens out of the request log
+morgan.token('url', req => req.originalUrl.replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Files stored by the local driver are served from /uploads
+if (storage.name === 'local') {
+  // Video files and HLS output are served through /api/videos/:id/stream and /hls,
+  // which enforce visibility. Signed URLs are let through; set SERVE_RAW_VIDEOS=true
+  // to expose them all directly.
+  if (process.env.SERVE_RAW_VIDEOS !== 'true') {
+    app.use(['/uploads/videos', '/uploads/hls'], (req, res, next) => {
+      if (storage.verifySignedUrl(req)) {
+        return next();
+      }
+      res.status(404).json({ message: 'Not found' });
+    });
+  }
+
+  app.use('/uploads', express.static(storage.rootDir));
+}
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,81 @@
+
+const fs = require('fs');
+const path = require('path');
+
+// Storage driver selected by STORAGE_DRIVER ("local" or "s3").
+//
+// Every driver stores objects under keys such as "videos/video-123.mp4" and provides:
+//   put(key, filePath)            move a local file into storage
+//   remove(key) / removePrefix(prefix)
+//   stat(key)                     { size, lastModified }, rejects with code ENOENT when missing
+//   getStream(key, { start, end }) readable stream, optionally for an inclusive byte range
+//   list(prefix)                  [{ key, size, lastModified }]
+//   getLocalCopy(key)             { path, release() } for tools that need a real file
+//   getPublicUrl(key)             URL for publicly readable objects
+//   getSignedUrl(key, { expiresIn }) expiring URL for anything else
+const driver = process.env.STORAGE_DRIVER === 's3'
+  ? require('./s3')
+  : require('./local');
+
+// Key of the object behind a stored URL. Understands "/uploads/..." URLs written
+// before a driver switch as well as the active driver's public URLs.
+const getKey = (url) => {
+  if (typeof url !== 'string') return null;
+
+  const prefix = [driver.publicPrefix, '/uploads/'].find(candidate => url.startsWith(candidate));
+  if (!prefix) return null;
+
+  const key = url.slice(prefix.length).split('?')[0];
+  if (!key || key.split('/').includes('..')) return null;
+
+  return key;
+};
+
+// Move every file of a local directory into storage below a prefix, then delete the directory
+const putDirectory = async (prefix, dir) => {
+  await driver.removePrefix(prefix);
+
+  const walk = async (current) => {
+    const entries = await fs.promises.readdir(current, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else {
+        const relative = path.relative(dir, entryPath).split(path.sep).join('/');
+        await driver.put(`${prefix}/${relative}`, entryPath);
+      }
+    }
+  };
+
+  await walk(dir);
+  await fs.promises.rm(dir, { recursive: true, force: true });
+};
+
+// Read a whole (small) object into memory
+const readFile = async (key) => {
+  const stream = await driver.getStream(key);
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+// Store a file multer wrote to scratch space under a folder and return its public URL
+const storeUpload = async (file, folder) => {
+  const key = `${folder}/${file.filename}`;
+  await driver.put(key, file.path);
+  return driver.getPublicUrl(key);
+};
+
+module.exports = {
+  ...driver,
+  getKey,
+  putDirectory,
+  readFile,
+  storeUpload
+};
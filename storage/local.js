@@ -0,0 +1,144 @@
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Local disk driver: objects are files below LOCAL_STORAGE_DIR, served by express.static at /uploads
+const ROOT_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../uploads'));
+const PUBLIC_PREFIX = '/uploads/';
+
+// Map a key to its file, refusing anything that would escape the storage root
+const resolveKey = (key) => {
+  const filePath = path.join(ROOT_DIR, key);
+  if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// HMAC over the key and expiry, used for signed URLs
+const sign = (key, expires) => {
+  return crypto
+    .createHmac('sha256', process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+};
+
+// Move a local file into storage
+const put = async (key, filePath) => {
+  const target = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  try {
+    await fs.promises.rename(filePath, target);
+  } catch (error) {
+    // Scratch space may live on another filesystem
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(filePath, target);
+    await fs.promises.unlink(filePath);
+  }
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+const removePrefix = async (prefix) => {
+  await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+};
+
+// Size and modification time of an object; rejects with code ENOENT when missing
+const stat = async (key) => {
+  const stats = await fs.promises.stat(resolveKey(key));
+  return { size: stats.size, lastModified: stats.mtime };
+};
+
+// Readable stream over an object, optionally limited to an inclusive byte range
+const getStream = async (key, { start, end } = {}) => {
+  const filePath = resolveKey(key);
+
+  // Surface a missing file as ENOENT before any response is sent
+  await fs.promises.access(filePath);
+
+  return fs.createReadStream(filePath, { start, end });
+};
+
+// Every object below a prefix
+const list = async (prefix = '') => {
+  const objects = [];
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else {
+        const stats = await fs.promises.stat(entryPath);
+        objects.push({
+          key: path.relative(ROOT_DIR, entryPath).split(path.sep).join('/'),
+          size: stats.size,
+          lastModified: stats.mtime
+        });
+      }
+    }
+  };
+
+  await walk(prefix ? resolveKey(prefix) : ROOT_DIR);
+  return objects;
+};
+
+// Path of a local copy for tools like ffmpeg; local objects are used in place
+const getLocalCopy = async (key) => {
+  const filePath = resolveKey(key);
+  await fs.promises.access(filePath);
+  return { path: filePath, release: async () => {} };
+};
+
+const getPublicUrl = (key) => `${PUBLIC_PREFIX}${key}`;
+
+// Expiring URL that bypasses the /uploads access restrictions (see verifySignedUrl)
+const getSignedUrl = async (key, { expiresIn = 3600 } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${getPublicUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+// Check the expires/signature query of a request for a file under /uploads
+const verifySignedUrl = (req) => {
+  const { expires, signature } = req.query;
+  if (typeof expires !== 'string' || typeof signature !== 'string') return false;
+  if (parseInt(expires) < Date.now() / 1000) return false;
+
+  const key = decodeURIComponent(req.originalUrl.split('?')[0]).slice(PUBLIC_PREFIX.length);
+  const expected = sign(key, expires);
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+module.exports = {
+  name: 'local',
+  rootDir: ROOT_DIR,
+  publicPrefix: PUBLIC_PREFIX,
+  put,
+  remove,
+  removePrefix,
+  stat,
+  getStream,
+  list,
+  getLocalCopy,
+  getPublicUrl,
+  getSignedUrl,
+  verifySignedUrl
+};
@@ -0,0 +1,153 @@
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mime = require('mime-types');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const { pipeline } = require('stream/promises');
+
+// S3-compatible driver (AWS S3, MinIO, ...)
+const BUCKET = process.env.S3_BUCKET;
+
+const client = new S3Client({
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  // MinIO and most self-hosted stores need path-style addressing
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID ? {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  } : undefined
+});
+
+// Base URL for publicly readable objects such as thumbnails and avatars
+const PUBLIC_PREFIX = (process.env.S3_PUBLIC_URL ||
+  (process.env.S3_ENDPOINT ? `${process.env.S3_ENDPOINT}/${BUCKET}` : `https://${BUCKET}.s3.amazonaws.com`)
+).replace(/\/$/, '') + '/';
+
+// Report missing objects the same way the local driver does
+const normalizeError = (error) => {
+  if (error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+    const notFound = new Error(`Object not found: ${error.message}`);
+    notFound.code = 'ENOENT';
+    return notFound;
+  }
+  return error;
+};
+
+// Upload a local file, then delete it
+const put = async (key, filePath) => {
+  const upload = new Upload({
+    client,
+    params: {
+      Bucket: BUCKET,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentType: mime.lookup(key) || 'application/octet-stream'
+    }
+  });
+
+  await upload.done();
+  await fs.promises.unlink(filePath);
+};
+
+const remove = async (key) => {
+  await client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+};
+
+// Every object below a prefix
+const list = async (prefix = '') => {
+  const objects = [];
+  let ContinuationToken;
+
+  do {
+    const result = await client.send(new ListObjectsV2Command({
+      Bucket: BUCKET,
+      Prefix: prefix,
+      ContinuationToken
+    }));
+
+    (result.Contents || []).forEach((object) => {
+      objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+    });
+
+    ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return objects;
+};
+
+const removePrefix = async (prefix) => {
+  const objects = await list(prefix.replace(/\/?$/, '/'));
+
+  // DeleteObjects accepts at most 1000 keys per call
+  for (let i = 0; i < objects.length; i += 1000) {
+    await client.send(new DeleteObjectsCommand({
+      Bucket: BUCKET,
+      Delete: { Objects: objects.slice(i, i + 1000).map(object => ({ Key: object.key })) }
+    }));
+  }
+};
+
+const stat = async (key) => {
+  try {
+    const result = await client.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }));
+    return { size: result.ContentLength, lastModified: result.LastModified };
+  } catch (error) {
+    throw normalizeError(error);
+  }
+};
+
+const getStream = async (key, { start, end } = {}) => {
+  const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+
+  try {
+    const result = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: key, Range: range }));
+    return result.Body;
+  } catch (error) {
+    throw normalizeError(error);
+  }
+};
+
+// Download an object to scratch space for tools like ffmpeg
+const getLocalCopy = async (key) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  const filePath = path.join(dir, path.basename(key));
+
+  await pipeline(await getStream(key), fs.createWriteStream(filePath));
+
+  return {
+    path: filePath,
+    release: () => fs.promises.rm(dir, { recursive: true, force: true })
+  };
+};
+
+const getPublicUrl = (key) => `${PUBLIC_PREFIX}${key}`;
+
+const getSignedUrl = (key, { expiresIn = 3600 } = {}) => {
+  return presign(client, new GetObjectCommand({ Bucket: BUCKET, Key: key }), { expiresIn });
+};
+
+module.exports = {
+  name: 's3',
+  publicPrefix: PUBLIC_PREFIX,
+  put,
+  remove,
+  removePrefix,
+  stat,
+  getStream,
+  list,
+  getLocalCopy,
+  getPublicUrl,
+  getSignedUrl
+};
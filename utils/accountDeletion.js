@@ -0,0 +1,171 @@
+
+const User = require('../models/User');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Subscription = require('../models/Subscription');
+const Session = require('../models/Session');
+const OneTimeToken = require('../models/OneTimeToken');
+const UploadSession = require('../models/UploadSession');
+const Report = require('../models/Report');
+const Playlist = require('../models/Playlist');
+const WatchHistory = require('../models/WatchHistory');
+const AnalyticsBucket = require('../models/AnalyticsBucket');
+const { removeVideo, removeComment } = require('./content');
+const { removeUploads } = require('./files');
+const { removeUploadSession } = require('./uploadSessions');
+const { hideUserContent, restoreUserContent } = require('./moderation');
+const { revokeSessions } = require('./tokens');
+const { trackChannelActivity } = require('./analytics');
+
+const GRACE_PERIOD_MS = (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14) * 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Schedule a user's account for deletion after the grace period. Their content is hidden
+// and every session signed out in the meantime; signing in again allows cancelling.
+const scheduleAccountDeletion = async (user) => {
+  const scheduledFor = new Date(Date.now() + GRACE_PERIOD_MS);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { deletion: { requestedAt: new Date(), scheduledFor } } }
+  );
+  await hideUserContent(user._id, 'owner_deleting');
+  await revokeSessions({ user: user._id }, 'account_deletion');
+
+  return scheduledFor;
+};
+
+// Cancel a scheduled deletion and bring the user's content back
+const cancelAccountDeletion = async (user) => {
+  await User.updateOne({ _id: user._id }, { $unset: { deletion: 1 } });
+  await restoreUserContent(user._id, 'owner_deleting');
+};
+
+// Undo a user's likes and dislikes on other people's videos and comments
+const removeLikes = async (userId) => {
+  const likes = await Like.find({ user: userId });
+
+  for (const like of likes) {
+    const counter = like.type === 'like' ? 'likes' : 'dislikes';
+    const Model = like.video ? Video : Comment;
+    const target = like.video || like.comment;
+
+    await Model.updateOne(
+      { _id: target, [counter]: { $gt: 0 } },
+      { $inc: { [counter]: -1 } }
+    );
+  }
+
+  await Like.deleteMany({ user: userId });
+};
+
+// Delete the user's comments. Top-level comments that others replied to are
+// anonymized instead so the threads stay readable, which also lifts the hiding
+// applied when the deletion was scheduled.
+const removeComments = async (userId) => {
+  const comments = await Comment.find({ user: userId });
+
+  for (const comment of comments) {
+    const hasOtherReplies = !comment.isReply && await Comment.exists({
+      parentComment: comment._id,
+      user: { $ne: userId }
+    });
+
+    if (hasOtherReplies) {
+      const unset = comment.hiddenReason === 'owner_deleting'
+        ? { user: 1, hiddenAt: 1, hiddenReason: 1 }
+        : { user: 1 };
+
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $set: { content: '[deleted]', deletedAt: new Date() }, $unset: unset }
+      );
+    } else {
+      await removeComment(comment);
+    }
+  }
+};
+
+// Remove subscriptions in both directions, keeping subscriber counts right
+const removeSubscriptions = async (userId) => {
+  const subscriptions = await Subscription.find({ subscriber: userId });
+
+  for (const subscription of subscriptions) {
+    await User.updateOne(
+      { _id: subscription.channel, subscribers: { $gt: 0 } },
+      { $inc: { subscribers: -1 } }
+    );
+    trackChannelActivity(subscription.channel, { subscribersLost: 1 });
+  }
+
+  await User.updateMany({ subscribedTo: userId }, { $pull: { subscribedTo: userId } });
+  await Subscription.deleteMany({ $or: [{ subscriber: userId }, { channel: userId }] });
+};
+
+// Permanently delete a user and everything that belongs to them
+const deleteAccount = async (user) => {
+  const userId = user._id;
+
+  const videos = await Video.find({ user: userId });
+  for (const video of videos) {
+    await removeVideo(video);
+  }
+
+  await removeLikes(userId);
+  await removeComments(userId);
+  await removeSubscriptions(userId);
+
+  const uploadSessions = await UploadSession.find({ user: userId });
+  for (const session of uploadSessions) {
+    await removeUploadSession(session);
+  }
+
+  await Playlist.deleteMany({ user: userId });
+  await WatchHistory.deleteMany({ user: userId });
+  await AnalyticsBucket.deleteMany({ channel: userId });
+  await Playlist.updateMany({ collaborators: userId }, { $pull: { collaborators: userId } });
+  await Video.updateMany({ sharedWith: userId }, { $pull: { sharedWith: userId } });
+  await Session.deleteMany({ user: userId });
+  await OneTimeToken.deleteMany({ user: userId });
+  await Report.deleteMany({ reporter: userId });
+
+  await removeUploads([user.avatar, user.banner]);
+  await User.deleteOne({ _id: userId });
+};
+
+// Delete accounts whose grace period has ended
+const deleteDueAccounts = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+
+  for (const user of users) {
+    try {
+      await deleteAccount(user);
+    } catch (error) {
+      // Left scheduled, so the next sweep retries
+      console.error(`Account deletion error for user ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+// Periodically delete accounts whose grace period has ended
+const startAccountDeletionSweep = () => {
+  const timer = setInterval(() => {
+    deleteDueAccounts().catch((error) => {
+      console.error('Account deletion sweep error:', error);
+    });
+  }, SWEEP_INTERVAL_MS);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteAccount,
+  deleteDueAccounts,
+  startAccountDeletionSweep
+};
@@ -0,0 +1,109 @@
+
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Subscription = require('../models/Subscription');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const Playlist = require('../models/Playlist');
+const WatchHistory = require('../models/WatchHistory');
+const { createTarGz } = require('./tarball');
+
+const json = value => JSON.stringify(value, null, 2);
+
+// Collect everything stored about a user, one section per file of the export
+const collectAccountData = async (user) => {
+  const [videos, comments, likes, subscriptions, playlists, history, sessions, reports] = await Promise.all([
+    Video.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    Comment.find({ user: user._id }).sort({ createdAt: -1 }).populate('video', 'title').lean(),
+    Like.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .populate('video', 'title')
+      .populate('comment', 'content')
+      .lean(),
+    Subscription.find({ subscriber: user._id }).sort({ createdAt: -1 }).populate('channel', 'username').lean(),
+    Playlist.find({ user: user._id }).sort({ createdAt: -1 }).populate('items.video', 'title').lean(),
+    WatchHistory.find({ user: user._id }).sort({ lastWatchedAt: -1 }).populate('video', 'title').lean(),
+    Session.find({ user: user._id }).select('userAgent ip createdAt lastUsedAt revokedAt revokedReason').lean(),
+    Report.find({ reporter: user._id }).select('targetType target reason details outcome createdAt').lean()
+  ]);
+
+  return {
+    profile: user.toObject(),
+    videos,
+    comments: comments.map(comment => ({
+      _id: comment._id,
+      content: comment.content,
+      video: comment.video,
+      isReply: comment.isReply,
+      parentComment: comment.parentComment,
+      likes: comment.likes,
+      dislikes: comment.dislikes,
+      createdAt: comment.createdAt,
+      updatedAt: comment.updatedAt
+    })),
+    likes: likes.map(like => ({
+      type: like.type,
+      video: like.video,
+      comment: like.comment,
+      createdAt: like.createdAt
+    })),
+    subscriptions: subscriptions.map(subscription => ({
+      channel: subscription.channel,
+      subscribedAt: subscription.createdAt
+    })),
+    playlists: playlists.map(playlist => ({
+      _id: playlist._id,
+      title: playlist.title,
+      description: playlist.description,
+      visibility: playlist.visibility,
+      kind: playlist.kind,
+      items: playlist.items.map(item => ({ video: item.video, addedAt: item.addedAt, watchedAt: item.watchedAt })),
+      createdAt: playlist.createdAt,
+      updatedAt: playlist.updatedAt
+    })),
+    history: history.map(entry => ({
+      video: entry.video,
+      position: entry.position,
+      watchedSeconds: entry.watchedSeconds,
+      completed: entry.completed,
+      firstWatchedAt: entry.createdAt,
+      lastWatchedAt: entry.lastWatchedAt
+    })),
+    sessions,
+    reports
+  };
+};
+
+// Build the downloadable .tar.gz export of a user's personal data.
+// The user must be loaded without the password hash.
+const buildAccountExport = async (user) => {
+  const data = await collectAccountData(user);
+  const folder = `${user.username}-export-${new Date().toISOString().slice(0, 10)}`;
+
+  const files = Object.entries(data).map(([section, value]) => ({
+    name: `${folder}/${section}.json`,
+    content: json(value)
+  }));
+
+  files.unshift({
+    name: `${folder}/README.txt`,
+    content: [
+      `Personal data export for ${user.username} <${user.email}>`,
+      `Created ${new Date().toISOString()}`,
+      '',
+      ...Object.keys(data).map(section => `${section}.json`),
+      '',
+      'Video files themselves are not included; download them from the site.'
+    ].join('\n')
+  });
+
+  return {
+    filename: `${folder}.tar.gz`,
+    archive: createTarGz(files)
+  };
+};
+
+module.exports = {
+  buildAccountExport
+};
@@ -0,0 +1,224 @@
+
+const AnalyticsBucket = require('../models/AnalyticsBucket');
+const AnalyticsViewer = require('../models/AnalyticsViewer');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Days hourly buckets are kept for; daily buckets are kept indefinitely
+const HOURLY_DAYS = parseInt(process.env.ANALYTICS_HOURLY_DAYS) || 7;
+// Retention curves split a video into this many equal segments
+const RETENTION_SEGMENTS = 100;
+
+const GRANULARITIES = ['day', 'hour'];
+const METRICS = [
+  'views',
+  'uniqueViewers',
+  'watchTimeSeconds',
+  'likes',
+  'dislikes',
+  'comments',
+  'subscribersGained',
+  'subscribersLost'
+];
+
+const STEP_MS = { hour: HOUR_MS, day: DAY_MS };
+
+// Start of the UTC hour or day a date falls in
+const startOf = (granularity, date) => {
+  return new Date(Math.floor(date.getTime() / STEP_MS[granularity]) * STEP_MS[granularity]);
+};
+
+// Buckets an event belongs to: hourly and daily, for the video (if any) and its channel
+const bucketTargets = (channel, video, date = new Date()) => {
+  const hour = startOf('hour', date);
+  const scopes = video ? [video, null] : [null];
+
+  return scopes.flatMap(scope => [
+    {
+      filter: { channel, video: scope, granularity: 'hour', start: hour },
+      expiresAt: new Date(hour.getTime() + (HOURLY_DAYS + 1) * DAY_MS)
+    },
+    {
+      filter: { channel, video: scope, granularity: 'day', start: startOf('day', date) }
+    }
+  ]);
+};
+
+// Apply an update to a bucket, creating it if needed. Returns the bucket.
+const upsertBucket = async ({ filter, expiresAt }, update) => {
+  const fullUpdate = expiresAt ? { ...update, $setOnInsert: { expiresAt } } : update;
+
+  try {
+    return await AnalyticsBucket.findOneAndUpdate(filter, fullUpdate, { upsert: true, new: true });
+  } catch (error) {
+    // Two first events for the bucket raced; the other one created it
+    if (error.code === 11000) {
+      return AnalyticsBucket.findOneAndUpdate(filter, update, { new: true });
+    }
+    throw error;
+  }
+};
+
+// Add to the unique viewers of a bucket unless the viewer was counted there already
+const countUniqueViewer = async (bucket, viewer) => {
+  const step = STEP_MS[bucket.granularity];
+
+  try {
+    await AnalyticsViewer.create({
+      bucket: bucket._id,
+      viewer,
+      expiresAt: new Date(bucket.start.getTime() + step + HOUR_MS)
+    });
+  } catch (error) {
+    if (error.code === 11000) return;
+    throw error;
+  }
+
+  await AnalyticsBucket.updateOne({ _id: bucket._id }, { $inc: { uniqueViewers: 1 } });
+};
+
+// Seconds watched in each retention segment for the played stretch [from, to]
+const retentionIncrements = (duration, from, to) => {
+  const size = duration / RETENTION_SEGMENTS;
+  const increments = {};
+
+  for (let i = Math.floor(from / size); i < RETENTION_SEGMENTS && i * size < to; i++) {
+    const overlap = Math.min(to, (i + 1) * size) - Math.max(from, i * size);
+    if (overlap > 0) {
+      increments[`retention.${i}`] = overlap;
+    }
+  }
+
+  return increments;
+};
+
+// Analytics are best effort: failures are logged and never reach the request
+const track = (work) => {
+  work().catch((error) => {
+    console.error('Analytics error:', error);
+  });
+};
+
+// Record a playback heartbeat: watch time, the retention curve and, when the
+// heartbeat counted a view, views and unique viewers
+const trackPlayback = (video, { viewer, viewCounted, watchedSeconds, position }) => {
+  if (!viewer || (!viewCounted && watchedSeconds <= 0)) return;
+
+  track(async () => {
+    const duration = video.metadata && video.metadata.duration;
+    const to = duration ? Math.min(position, duration) : position;
+    const retention = duration && watchedSeconds > 0
+      ? retentionIncrements(duration, Math.max(to - watchedSeconds, 0), to)
+      : {};
+
+    const targets = bucketTargets(video.user, video._id);
+    const buckets = await Promise.all(targets.map((target) => {
+      const inc = { watchTimeSeconds: watchedSeconds, views: viewCounted ? 1 : 0 };
+      const isVideoDay = target.filter.video && target.filter.granularity === 'day';
+      return upsertBucket(target, { $inc: isVideoDay ? { ...inc, ...retention } : inc });
+    }));
+
+    if (viewCounted) {
+      await Promise.all(buckets.map(bucket => countUniqueViewer(bucket, viewer)));
+    }
+  });
+};
+
+// Record likes, dislikes or comments on a video, e.g. { likes: 1, dislikes: -1 }
+const trackVideoActivity = (video, metrics) => {
+  track(async () => {
+    const targets = bucketTargets(video.user, video._id);
+    await Promise.all(targets.map(target => upsertBucket(target, { $inc: metrics })));
+  });
+};
+
+// Record channel-level activity, e.g. { subscribersGained: 1 }
+const trackChannelActivity = (channelId, metrics) => {
+  track(async () => {
+    const targets = bucketTargets(channelId, null);
+    await Promise.all(targets.map(target => upsertBucket(target, { $inc: metrics })));
+  });
+};
+
+// Average seconds watched per view, to one decimal
+const averageViewDuration = ({ views, watchTimeSeconds }) => {
+  return views > 0 ? Math.round((watchTimeSeconds / views) * 10) / 10 : 0;
+};
+
+// Time series for a channel (video null) or one video between two bucket starts
+// (from inclusive, to exclusive), with empty buckets filled with zeros, and totals.
+// Unique viewers can't be added up across buckets, so totals leave them out.
+const getSeries = async ({ channel, video = null, granularity, from, to }) => {
+  const buckets = await AnalyticsBucket.find({
+    channel,
+    video,
+    granularity,
+    start: { $gte: from, $lt: to }
+  })
+    .select(`start ${METRICS.join(' ')}`)
+    .lean();
+
+  const byStart = new Map(buckets.map(bucket => [bucket.start.getTime(), bucket]));
+  const series = [];
+
+  for (let time = from.getTime(); time < to.getTime(); time += STEP_MS[granularity]) {
+    const bucket = byStart.get(time) || {};
+    const row = { start: new Date(time).toISOString() };
+    METRICS.forEach((metric) => {
+      row[metric] = bucket[metric] || 0;
+    });
+    row.averageViewDurationSeconds = averageViewDuration(row);
+    series.push(row);
+  }
+
+  const totals = {};
+  METRICS.filter(metric => metric !== 'uniqueViewers').forEach((metric) => {
+    totals[metric] = series.reduce((sum, row) => sum + row[metric], 0);
+  });
+  totals.averageViewDurationSeconds = averageViewDuration(totals);
+
+  return { totals, series };
+};
+
+// Audience retention of a video between two day starts: for each percent of the
+// video, how many times it was watched per counted view. Empty when the length is unknown.
+const getRetention = async (video, from, to) => {
+  const duration = video.metadata && video.metadata.duration;
+  if (!duration) return [];
+
+  const buckets = await AnalyticsBucket.find({
+    channel: video.user,
+    video: video._id,
+    granularity: 'day',
+    start: { $gte: from, $lt: to }
+  })
+    .select('views retention')
+    .lean();
+
+  const views = buckets.reduce((sum, bucket) => sum + bucket.views, 0);
+  const segmentSeconds = duration / RETENTION_SEGMENTS;
+  const curve = [];
+
+  for (let i = 0; i < RETENTION_SEGMENTS; i++) {
+    const watched = buckets.reduce((sum, bucket) => sum + ((bucket.retention || {})[i] || 0), 0);
+    curve.push({
+      position: i,
+      audience: views > 0 ? Math.round((watched / segmentSeconds / views) * 1000) / 1000 : 0
+    });
+  }
+
+  return curve;
+};
+
+module.exports = {
+  GRANULARITIES,
+  METRICS,
+  HOURLY_DAYS,
+  startOf,
+  trackPlayback,
+  trackVideoActivity,
+  trackChannelActivity,
+  getSeries,
+  getRetention
+};
@@ -0,0 +1,19 @@
+
+const AuditLog = require('../models/AuditLog');
+
+// Record a privileged action taken by the signed-in user
+const recordAudit = (req, { action, targetType, targetId, details = {} }) => {
+  return AuditLog.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip
+  });
+};
+
+module.exports = {
+  recordAudit
+};
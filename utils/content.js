@@ -0,0 +1,70 @@
+
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const VideoRevision = require('../models/VideoRevision');
+const Playlist = require('../models/Playlist');
+const WatchHistory = require('../models/WatchHistory');
+const AnalyticsBucket = require('../models/AnalyticsBucket');
+const { removeVideoFiles } = require('./files');
+
+// Delete a video with its comments, likes, watch history, analytics, revision
+// history and stored files, and take it out of every playlist. The channel's
+// analytics keep the video's past activity.
+const removeVideo = async (video) => {
+  // Delete comments and their likes
+  const commentIds = await Comment.distinct('_id', { video: video._id });
+  await Like.deleteMany({ comment: { $in: commentIds } });
+  await Comment.deleteMany({ video: video._id });
+
+  // Delete likes
+  await Like.deleteMany({ video: video._id });
+
+  // Delete watch history entries
+  await WatchHistory.deleteMany({ video: video._id });
+
+  // Delete per-video analytics
+  await AnalyticsBucket.deleteMany({ video: video._id });
+
+  // Remove from playlists
+  await Playlist.updateMany(
+    { 'items.video': video._id },
+    { $pull: { items: { video: video._id } } }
+  );
+
+  // Delete revision history
+  const revisions = await VideoRevision.find({ video: video._id });
+  await VideoRevision.deleteMany({ video: video._id });
+
+  // Delete video
+  await Video.deleteOne({ _id: video._id });
+
+  // Delete stored files
+  await removeVideoFiles(video, revisions);
+};
+
+// Delete a comment with its likes, and its replies if it is a top-level comment
+const removeComment = async (comment) => {
+  if (!comment.isReply) {
+    const replyIds = await Comment.distinct('_id', { parentComment: comment._id });
+    await Like.deleteMany({ comment: { $in: replyIds } });
+    await Comment.deleteMany({ parentComment: comment._id });
+  } else {
+    // If it's a reply, remove from parent's replies array
+    await Comment.updateOne(
+      { _id: comment.parentComment },
+      { $pull: { replies: comment._id } }
+    );
+  }
+
+  // Delete likes
+  await Like.deleteMany({ comment: comment._id });
+
+  // Delete comment
+  await Comment.deleteOne({ _id: comment._id });
+};
+
+module.exports = {
+  removeVideo,
+  removeComment
+};
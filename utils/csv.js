@@ -0,0 +1,19 @@
+
+// Quote a CSV field when it contains a separator, quote or line break
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize rows of objects as CSV with a header line, in the given column order
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeField).join(',')];
+
+  rows.forEach((row) => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = toCsv;
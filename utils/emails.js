@@ -0,0 +1,58 @@
+
+const { sendMail } = require('../mailer');
+const OneTimeToken = require('../models/OneTimeToken');
+
+// Frontend that hosts the pages email links point to
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Issue a verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await OneTimeToken.issue(user, 'email_verification', VERIFICATION_TTL_MS);
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+// Issue a password reset token and email the link to the user
+const sendPasswordResetEmail = async (user) => {
+  const token = await OneTimeToken.issue(user, 'password_reset', PASSWORD_RESET_TTL_MS);
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password for your account. If it was you, open this link to choose a new one:\n\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset the password for your account. If it was you, open this link to choose a new one:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+// Tell a reporter what happened to content they reported
+const sendReportOutcomeEmail = async (user, { targetType, targetLabel, outcome }) => {
+  const subject = targetType === 'video' ? `the video "${targetLabel}"` : `a comment ("${targetLabel}")`;
+  const result = outcome === 'removed'
+    ? 'After review it was removed for breaking our community guidelines.'
+    : 'After review we found it doesn\'t break our community guidelines, so it will stay up.';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Update on your report',
+    text: `Hi ${user.username},\n\nThanks for reporting ${subject}. ${result}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Thanks for reporting ${escapeHtml(subject)}. ${escapeHtml(result)}</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendReportOutcomeEmail
+};
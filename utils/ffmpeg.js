@@ -0,0 +1,113 @@
+
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Run ffmpeg with the given arguments.
+// onProgress receives the processed media time in seconds.
+const runFfmpeg = (args, { onProgress } = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostats', '-progress', 'pipe:1', ...args]);
+
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      if (!onProgress) return;
+
+      const match = /out_time_us=(\d+)/.exec(data.toString());
+      if (match) {
+        onProgress(Number(match[1]) / 1e6);
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+
+      // Only the tail is needed for error messages
+      if (stderr.length > 10000) {
+        stderr = stderr.slice(-10000);
+      }
+    });
+
+    child.on('error', reject);
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        return resolve();
+      }
+
+      const lastLine = stderr.trim().split('\n').pop();
+      reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+    });
+  });
+};
+
+// Read duration, resolution, codecs and bitrate from a media file.
+// Rejects when the file cannot be parsed or has no video stream.
+const probeVideo = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFPROBE_PATH, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath
+    ]);
+
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('error', reject);
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim()}`));
+      }
+
+      let result;
+      try {
+        result = JSON.parse(stdout);
+      } catch (error) {
+        return reject(new Error('ffprobe returned invalid output'));
+      }
+
+      const streams = result.streams || [];
+      const format = result.format || {};
+      const videoStream = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+      const audioStream = streams.find(stream => stream.codec_type === 'audio');
+      const duration = parseFloat(format.duration || (videoStream && videoStream.duration));
+
+      if (!videoStream || !videoStream.width || !videoStream.height) {
+        return reject(new Error('No video stream found'));
+      }
+
+      if (!Number.isFinite(duration) || duration <= 0) {
+        return reject(new Error('Could not determine video duration'));
+      }
+
+      resolve({
+        duration,
+        width: videoStream.width,
+        height: videoStream.height,
+        videoCodec: videoStream.codec_name,
+        audioCodec: audioStream ? audioStream.codec_name : null,
+        bitrate: parseInt(format.bit_rate) || null,
+        fileSize: parseInt(format.size) || null
+      });
+    });
+  });
+};
+
+module.exports = {
+  runFfmpeg,
+  probeVideo
+};
@@ -0,0 +1,114 @@
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('../storage');
+
+// Local working space for multer, resumable uploads and ffmpeg output.
+// Finished files are moved into the storage driver from here.
+const SCRATCH_DIR = path.resolve(process.env.SCRATCH_DIR || path.join(__dirname, '../tmp'));
+
+// Create (if needed) and return a directory below the scratch space
+const scratchDir = (...parts) => {
+  const dir = path.join(SCRATCH_DIR, ...parts);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+};
+
+// Delete local files, ignoring ones that are already gone
+const removeFiles = async (filePaths) => {
+  await Promise.all(filePaths.filter(Boolean).map(async (filePath) => {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Remove file error (${filePath}):`, error);
+      }
+    }
+  }));
+};
+
+// Delete the stored objects behind URLs saved on documents
+const removeUploads = async (urls) => {
+  const keys = [...new Set(urls.map(storage.getKey).filter(Boolean))];
+
+  await Promise.all(keys.map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Remove stored file error (${key}):`, error);
+    }
+  }));
+};
+
+// Check whether the stored object behind a URL still exists.
+// URLs that don't point into storage can't be checked and are assumed to exist.
+const storedFileExists = async (url) => {
+  const key = storage.getKey(url);
+  if (!key) return !!url;
+
+  try {
+    await storage.stat(key);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+// Delete a thumbnail a video no longer uses. Generated candidates stay so the owner
+// can still pick them; revisions pointing at a deleted thumbnail fall back on restore.
+const removeReplacedThumbnail = async (video, url) => {
+  if (!url || url === video.thumbnailUrl || (video.thumbnailCandidates || []).includes(url)) {
+    return;
+  }
+
+  await removeUploads([url]);
+};
+
+// Delete everything stored for a video: the source file, thumbnails
+// (including ones only referenced by its revision history), HLS output and storyboard
+const removeVideoFiles = async (video, revisions = []) => {
+  await removeUploads([
+    video.videoUrl,
+    video.thumbnailUrl,
+    ...(video.thumbnailCandidates || []),
+    ...revisions.map(revision => revision.snapshot && revision.snapshot.thumbnailUrl)
+  ]);
+
+  const id = video._id.toString();
+  await Promise.all([`hls/${id}`, `thumbnails/storyboards/${id}`].map(async (prefix) => {
+    try {
+      await storage.removePrefix(prefix);
+    } catch (error) {
+      console.error(`Remove stored files error (${prefix}):`, error);
+    }
+  }));
+};
+
+// Paths of every file multer stored for the current request
+const getUploadedFilePaths = (req) => {
+  const files = [];
+
+  if (req.file) {
+    files.push(req.file);
+  }
+
+  if (Array.isArray(req.files)) {
+    files.push(...req.files);
+  } else if (req.files) {
+    Object.values(req.files).forEach(list => files.push(...list));
+  }
+
+  return files.map(file => file.path);
+};
+
+module.exports = {
+  SCRATCH_DIR,
+  scratchDir,
+  removeFiles,
+  removeUploads,
+  storedFileExists,
+  removeReplacedThumbnail,
+  removeVideoFiles,
+  getUploadedFilePaths
+};
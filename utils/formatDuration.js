@@ -0,0 +1,16 @@
+
+// Format a duration in seconds as "M:SS" or "H:MM:SS"
+const formatDuration = (totalSeconds) => {
+  const rounded = Math.round(totalSeconds || 0);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = String(rounded % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  }
+
+  return `${minutes}:${seconds}`;
+};
+
+module.exports = formatDuration;
@@ -0,0 +1,109 @@
+
+const crypto = require('crypto');
+const User = require('../models/User');
+
+// Error raised when an external identity can't be used for the requested account
+const identityError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Email address from ID token claims, if the provider vouches for it
+const verifiedEmail = (claims) => {
+  const verified = claims.email_verified === true || claims.email_verified === 'true';
+  return claims.email && verified ? String(claims.email).toLowerCase() : null;
+};
+
+// Free username derived from the profile claims
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || claims.name || String(claims.email).split('@')[0];
+  let base = String(source || '').replace(/[^a-zA-Z0-9_]/g, '').slice(0, 24);
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  let username = base;
+  for (let attempt = 0; await User.exists({ username }); attempt++) {
+    if (attempt >= 5) {
+      throw identityError('Could not pick a username for the new account', 'USERNAME_UNAVAILABLE');
+    }
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return username;
+};
+
+const findByIdentity = (provider, subject) => {
+  return User.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// User an external identity signs in as. Identities seen before sign in to their account;
+// otherwise the verified email links an existing account or creates a new one.
+const resolveIdentityLogin = async (provider, claims) => {
+  const linked = await findByIdentity(provider, claims.sub);
+  if (linked) {
+    return linked;
+  }
+
+  const email = verifiedEmail(claims);
+  if (!email) {
+    throw identityError('The identity provider did not confirm your email address', 'EMAIL_NOT_VERIFIED');
+  }
+
+  const identity = { provider, subject: claims.sub, email };
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    // Only link accounts that proved they own the address, so someone who registered
+    // with another person's email can't have that person's identity attached to it
+    if (!existing.isVerified) {
+      throw identityError(
+        'An account with this email already exists. Sign in with your password and link the provider from your profile',
+        'ACCOUNT_EXISTS'
+      );
+    }
+
+    existing.identities.push(identity);
+    await existing.save();
+    return existing;
+  }
+
+  const user = new User({
+    username: await generateUsername(claims),
+    email,
+    // Never revealed; the user can set a real password through the reset flow
+    password: crypto.randomBytes(32).toString('hex'),
+    hasPassword: false,
+    isVerified: true,
+    identities: [identity]
+  });
+  await user.save();
+
+  return user;
+};
+
+// Attach an external identity to a signed-in user
+const linkIdentity = async (user, provider, claims) => {
+  const owner = await findByIdentity(provider, claims.sub);
+  if (owner) {
+    if (owner._id.equals(user._id)) {
+      return;
+    }
+    throw identityError('This identity is already linked to another account', 'IDENTITY_IN_USE');
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, 'identities.provider': { $ne: provider } },
+    { $push: { identities: { provider, subject: claims.sub, email: claims.email } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw identityError('Another identity from this provider is already linked', 'PROVIDER_ALREADY_LINKED');
+  }
+};
+
+module.exports = {
+  resolveIdentityLogin,
+  linkIdentity
+};
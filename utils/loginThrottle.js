@@ -0,0 +1,56 @@
+
+const store = require('../rateLimit');
+
+// Progressive login lockout. Failed attempts are counted per account and per IP;
+// once a counter reaches its threshold every further failure locks that account or
+// IP out, starting at LOGIN_LOCKOUT_BASE_SECONDS and doubling up to the maximum.
+const ACCOUNT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_ACCOUNT_THRESHOLD) || 5;
+const IP_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_IP_THRESHOLD) || 20;
+const BASE_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const MAX_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60) * 1000;
+// How long failures are remembered
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const subjects = (email, ip) => [
+  { key: `account:${String(email).toLowerCase()}`, threshold: ACCOUNT_THRESHOLD },
+  { key: `ip:${ip}`, threshold: IP_THRESHOLD }
+];
+
+// End of the longest active lockout for this account or IP, or null
+const getLoginLock = async (email, ip) => {
+  const locks = await Promise.all(
+    subjects(email, ip).map(subject => store.get(`login-lock:${subject.key}`))
+  );
+
+  return locks.reduce((latest, lock) => {
+    if (!lock) return latest;
+    return !latest || lock.resetAt > latest ? lock.resetAt : latest;
+  }, null);
+};
+
+// Count a failed attempt and lock out anything that went over its threshold
+const recordLoginFailure = async (email, ip) => {
+  for (const subject of subjects(email, ip)) {
+    const { count } = await store.increment(`login-fail:${subject.key}`, FAILURE_WINDOW_MS);
+
+    if (count >= subject.threshold) {
+      const lockMs = Math.min(BASE_LOCKOUT_MS * 2 ** (count - subject.threshold), MAX_LOCKOUT_MS);
+      const lockKey = `login-lock:${subject.key}`;
+
+      await store.reset(lockKey);
+      await store.increment(lockKey, lockMs);
+    }
+  }
+};
+
+// A successful login clears the account's failures. The IP counter is left alone
+// so one valid account can't be used to keep guessing at others.
+const recordLoginSuccess = async (email) => {
+  await store.reset(`login-fail:account:${String(email).toLowerCase()}`);
+};
+
+module.exports = {
+  getLoginLock,
+  recordLoginFailure,
+  recordLoginSuccess
+};
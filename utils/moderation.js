@@ -0,0 +1,34 @@
+
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+
+// Hide every video and comment of a user, e.g. when banning them.
+// The reason ("owner_banned", "owner_deleting") lets restoreUserContent undo exactly this.
+const hideUserContent = async (userId, reason) => {
+  const update = { $set: { hiddenAt: new Date(), hiddenReason: reason } };
+
+  const [videos, comments] = await Promise.all([
+    Video.updateMany({ user: userId, hiddenAt: null }, update),
+    Comment.updateMany({ user: userId, hiddenAt: null }, update)
+  ]);
+
+  return { videos: videos.modifiedCount, comments: comments.modifiedCount };
+};
+
+// Undo hideUserContent for a reason. Content hidden for other reasons stays hidden.
+const restoreUserContent = async (userId, reason) => {
+  const filter = { user: userId, hiddenReason: reason };
+  const update = { $unset: { hiddenAt: 1, hiddenReason: 1 } };
+
+  const [videos, comments] = await Promise.all([
+    Video.updateMany(filter, update),
+    Comment.updateMany(filter, update)
+  ]);
+
+  return { videos: videos.modifiedCount, comments: comments.modifiedCount };
+};
+
+module.exports = {
+  hideUserContent,
+  restoreUserContent
+};
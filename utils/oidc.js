@@ -0,0 +1,206 @@
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generic OpenID Connect client (authorization code flow with PKCE).
+//
+// Providers are listed in OIDC_PROVIDERS (e.g. "google,mock") and configured with
+// OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET (optional for
+// public clients) and OIDC_<NAME>_SCOPES. Endpoints come from the issuer's discovery
+// document, so any compliant provider works, including a local mock server.
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const DEFAULT_SCOPES = 'openid email profile';
+// How long cached signing keys are trusted before an unknown key id triggers a refetch
+const JWKS_REFRESH_MS = 60 * 1000;
+
+const PROVIDERS = (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .reduce((providers, name) => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`OIDC provider "${name}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID; skipping it`);
+      return providers;
+    }
+
+    providers[name] = {
+      name,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      scopes: process.env[`${prefix}SCOPES`] || DEFAULT_SCOPES,
+      redirectUri: `${API_URL}/api/auth/oidc/${name}/callback`
+    };
+    return providers;
+  }, {});
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = buffer => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Error raised when a provider response can't be trusted or used
+const oidcError = (message, code = 'OIDC_ERROR') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.text();
+
+  if (!response.ok) {
+    throw oidcError(`Request to ${url} failed with ${response.status}: ${body.slice(0, 200)}`);
+  }
+
+  return JSON.parse(body);
+};
+
+// Configured provider by name, or null
+const getProvider = name => PROVIDERS[String(name).toLowerCase()] || null;
+
+const listProviders = () => Object.keys(PROVIDERS);
+
+// The provider's discovery document, fetched once
+const discover = (provider) => {
+  if (!discoveryCache.has(provider.name)) {
+    const request = fetchJson(`${provider.issuer}/.well-known/openid-configuration`).catch((error) => {
+      discoveryCache.delete(provider.name);
+      throw error;
+    });
+    discoveryCache.set(provider.name, request);
+  }
+  return discoveryCache.get(provider.name);
+};
+
+// Public key an ID token was signed with. Keys are cached; an unknown key id
+// refetches the set in case the provider rotated its keys.
+const getSigningKey = async (provider, kid) => {
+  const findKey = keys => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let cached = jwksCache.get(provider.name);
+  let jwk = cached && findKey(cached.keys);
+
+  if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MS)) {
+    const { jwks_uri: jwksUri } = await discover(provider);
+    const { keys } = await fetchJson(jwksUri);
+
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.name, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('ID token was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Start an authorization request. The returned state, nonce and codeVerifier must be
+// kept server-side until the callback.
+const createAuthorizationRequest = async (provider) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover(provider);
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce, returning its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError('Provider returned a malformed ID token');
+  }
+
+  const { issuer } = await discover(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+      issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce does not match the authorization request');
+  }
+
+  return claims;
+};
+
+// Exchange an authorization code for the signed-in identity's claims
+const exchangeCode = async (provider, { code, codeVerifier, nonce }) => {
+  const config = await discover(provider);
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (provider.clientSecret) {
+    // client_secret_basic, the default client authentication method
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && config.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    if (userinfo.sub === claims.sub) {
+      return { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  exchangeCode
+};
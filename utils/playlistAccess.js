@@ -0,0 +1,66 @@
+
+const { canViewVideo } = require('./videoAccess');
+
+// Video fields needed to decide whether a viewer may see a playlist item
+const VIDEO_ACCESS_FIELDS = 'user status visibility publishAt sharedWith hiddenAt';
+
+const sameId = (a, b) => {
+  const id = value => (value && value._id ? value._id : value);
+  return !!a && !!b && id(a).toString() === id(b).toString();
+};
+
+// Check whether a user owns a playlist
+const isPlaylistOwner = (playlist, user) => !!user && sameId(playlist.user, user);
+
+// Check whether a user was invited to add videos to a playlist
+const isCollaborator = (playlist, user) => {
+  return !!user && playlist.collaborators.some(collaborator => sameId(collaborator, user));
+};
+
+// Check whether a playlist is built in (like Watch Later) rather than user-created
+const isSystemPlaylist = playlist => playlist.kind !== 'custom';
+
+// Owner and collaborators can add videos
+const canAddToPlaylist = (playlist, user) => isPlaylistOwner(playlist, user) || isCollaborator(playlist, user);
+
+// Public and unlisted playlists are reachable by anyone with the id;
+// private ones only by the owner and collaborators
+const canViewPlaylist = (playlist, user) => {
+  if (playlist.visibility !== 'private') return true;
+  return canAddToPlaylist(playlist, user);
+};
+
+// Drop items whose video is gone or that the viewer may not watch.
+// Expects items.video to be populated.
+const visibleItems = (playlist, user) => {
+  return playlist.items.filter(item => item.video && canViewVideo(item.video, user));
+};
+
+// Short form used in playlist listings, counting only what the viewer can watch.
+// Expects items.video to be populated with VIDEO_ACCESS_FIELDS.
+const summarizePlaylist = (playlist, user) => {
+  const items = visibleItems(playlist, user);
+  const first = items.find(item => item.video.thumbnailUrl);
+
+  return {
+    _id: playlist._id,
+    title: playlist.title,
+    visibility: playlist.visibility,
+    kind: playlist.kind,
+    user: playlist.user,
+    itemCount: items.length,
+    thumbnailUrl: first ? first.video.thumbnailUrl : '',
+    updatedAt: playlist.updatedAt
+  };
+};
+
+module.exports = {
+  VIDEO_ACCESS_FIELDS,
+  isPlaylistOwner,
+  isCollaborator,
+  isSystemPlaylist,
+  canAddToPlaylist,
+  canViewPlaylist,
+  visibleItems,
+  summarizePlaylist
+};
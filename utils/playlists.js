@@ -0,0 +1,40 @@
+
+const Playlist = require('../models/Playlist');
+
+// Error raised for playlist changes that can't be made
+const playlistError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Add a video to a playlist, at the end or at a 0-based position, and save it.
+// Returns the new item.
+const addPlaylistItem = async (playlist, video, user, position = playlist.items.length) => {
+  if (playlist.items.some(item => item.video.equals(video._id))) {
+    throw playlistError('Video is already in this playlist', 'ALREADY_IN_PLAYLIST');
+  }
+
+  if (playlist.items.length >= Playlist.MAX_ITEMS) {
+    throw playlistError(`Playlists can hold at most ${Playlist.MAX_ITEMS} videos`, 'PLAYLIST_FULL');
+  }
+
+  const index = Math.min(position, playlist.items.length);
+  playlist.items.splice(index, 0, { video: video._id, addedBy: user._id });
+  await playlist.save();
+
+  return playlist.items[index];
+};
+
+// Move an item to a 0-based position and save the playlist
+const movePlaylistItem = async (playlist, item, position) => {
+  const index = playlist.items.indexOf(item);
+  playlist.items.splice(index, 1);
+  playlist.items.splice(Math.min(position, playlist.items.length), 0, item);
+  await playlist.save();
+};
+
+module.exports = {
+  addPlaylistItem,
+  movePlaylistItem
+};
@@ -0,0 +1,133 @@
+
+const fs = require('fs');
+const path = require('path');
+const Video = require('../models/Video');
+const VideoRevision = require('../models/VideoRevision');
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const storage = require('../storage');
+const { SCRATCH_DIR, removeFiles } = require('./files');
+const { PARTIALS_DIR } = require('./uploadSessions');
+
+// Objects younger than this may belong to a request that hasn't saved its document yet
+const MIN_AGE_MS = 60 * 60 * 1000;
+
+// Scratch files live through a whole transcoding job, so give them longer
+const SCRATCH_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Prefixes whose contents belong to the video named by their first path segment
+const PER_VIDEO_PREFIXES = ['hls/', 'thumbnails/storyboards/'];
+
+// Recursively list every file below a local directory
+const listFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else {
+      files.push(entryPath);
+    }
+  }
+  return files;
+};
+
+// Collect the storage keys and ids documents currently point to
+const collectReferences = async () => {
+  const keys = new Set();
+  const videoIds = new Set();
+  const sessionIds = new Set();
+  const addUrl = (url) => {
+    const key = storage.getKey(url);
+    if (key) keys.add(key);
+  };
+
+  const videos = await Video.find().select('videoUrl thumbnailUrl thumbnailCandidates').lean();
+  videos.forEach((video) => {
+    videoIds.add(video._id.toString());
+    [video.videoUrl, video.thumbnailUrl, ...(video.thumbnailCandidates || [])].forEach(addUrl);
+  });
+
+  const revisions = await VideoRevision.find().select('snapshot.thumbnailUrl').lean();
+  revisions.forEach(revision => addUrl(revision.snapshot && revision.snapshot.thumbnailUrl));
+
+  const users = await User.find().select('avatar banner').lean();
+  users.forEach((user) => {
+    addUrl(user.avatar);
+    addUrl(user.banner);
+  });
+
+  const sessions = await UploadSession.find().select('_id').lean();
+  sessions.forEach(session => sessionIds.add(session._id.toString()));
+
+  return { keys, videoIds, sessionIds };
+};
+
+// Check whether a storage key is referenced by any document
+const isReferenced = (key, references) => {
+  const prefix = PER_VIDEO_PREFIXES.find(candidate => key.startsWith(candidate));
+  if (prefix) {
+    return references.videoIds.has(key.slice(prefix.length).split('/')[0]);
+  }
+
+  return references.keys.has(key);
+};
+
+// Stale scratch files: leftovers of crashed requests and jobs, and partial
+// uploads whose session no longer exists
+const findScratchOrphans = async (references) => {
+  const cutoff = Date.now() - SCRATCH_MIN_AGE_MS;
+  const orphans = [];
+
+  for (const filePath of await listFiles(SCRATCH_DIR)) {
+    const isPartial = path.dirname(filePath) === PARTIALS_DIR;
+    if (isPartial && references.sessionIds.has(path.basename(filePath, '.part'))) continue;
+
+    const stats = await fs.promises.stat(filePath);
+    if (stats.mtimeMs > cutoff) continue;
+
+    orphans.push({ path: filePath, size: stats.size });
+  }
+
+  return orphans;
+};
+
+// Find stored objects and scratch files nothing points to and delete them.
+// With dryRun set, only report what would be deleted.
+const reconcileUploads = async ({ dryRun = false } = {}) => {
+  const references = await collectReferences();
+  const objects = await storage.list();
+  const cutoff = Date.now() - MIN_AGE_MS;
+
+  const orphans = objects
+    .filter(object => !isReferenced(object.key, references))
+    .filter(object => new Date(object.lastModified).getTime() <= cutoff)
+    .map(object => ({ key: object.key, size: object.size }));
+
+  const scratchOrphans = await findScratchOrphans(references);
+
+  if (!dryRun) {
+    for (const orphan of orphans) {
+      await storage.remove(orphan.key);
+    }
+    await removeFiles(scratchOrphans.map(orphan => orphan.path));
+  }
+
+  return {
+    dryRun,
+    scanned: objects.length,
+    orphans,
+    scratchOrphans,
+    totalSize: [...orphans, ...scratchOrphans].reduce((sum, orphan) => sum + orphan.size, 0)
+  };
+};
+
+module.exports = reconcileUploads;
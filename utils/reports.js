@@ -0,0 +1,192 @@
+
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const ModerationCase = require('../models/ModerationCase');
+const { removeVideo, removeComment } = require('./content');
+const { sendReportOutcomeEmail } = require('./emails');
+
+// Reports (since the last dismissal) after which content is hidden until a moderator
+// reviews it. 0 turns auto-hiding off.
+const AUTO_HIDE_THRESHOLD = process.env.REPORT_AUTO_HIDE_THRESHOLD !== undefined
+  ? parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 0
+  : 5;
+
+const TARGET_MODELS = {
+  video: Video,
+  comment: Comment
+};
+
+// Error raised for reports that can't be accepted
+const reportError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const describeTarget = (targetType, target) => {
+  return targetType === 'video' ? target.title : target.content.slice(0, 100);
+};
+
+// The queue entry for a piece of content, created on its first report
+const findOrCreateCase = async (targetType, target) => {
+  const filter = { targetType, target: target._id };
+  // Comments kept from deleted accounts have no owner
+  const update = {
+    $setOnInsert: {
+      ...(target.user ? { targetOwner: target.user } : {}),
+      targetLabel: describeTarget(targetType, target)
+    }
+  };
+
+  try {
+    return await ModerationCase.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first reports raced; the other one created the case
+    if (error.code === 11000) {
+      return ModerationCase.findOne(filter);
+    }
+    throw error;
+  }
+};
+
+// File a user's report against a video or comment and update its moderation case,
+// hiding the content once it crosses the report threshold
+const fileReport = async ({ reporter, targetType, target, reason, details }) => {
+  if (target.user && target.user.toString() === reporter._id.toString()) {
+    throw reportError('You cannot report your own content', 'OWN_CONTENT');
+  }
+
+  const moderationCase = await findOrCreateCase(targetType, target);
+
+  try {
+    await Report.create({
+      reporter: reporter._id,
+      case: moderationCase._id,
+      targetType,
+      target: target._id,
+      reason,
+      details
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw reportError(`You have already reported this ${targetType}`, 'ALREADY_REPORTED');
+    }
+    throw error;
+  }
+
+  const update = {
+    $inc: { reportCount: 1, openReports: 1, [`reasons.${reason}`]: 1 },
+    $set: { lastReportedAt: new Date() }
+  };
+
+  // New reports put dismissed content back in the queue
+  if (moderationCase.status === 'dismissed') {
+    update.$set.status = 'open';
+    update.$push = { history: { action: 'reopen', note: 'Reported again after dismissal' } };
+  }
+
+  const updated = await ModerationCase.findOneAndUpdate({ _id: moderationCase._id }, update, { new: true });
+
+  if (AUTO_HIDE_THRESHOLD > 0 && updated.openReports >= AUTO_HIDE_THRESHOLD && !updated.autoHidden) {
+    const result = await TARGET_MODELS[targetType].updateOne(
+      { _id: target._id, hiddenAt: null },
+      { $set: { hiddenAt: new Date(), hiddenReason: 'reports' } }
+    );
+
+    if (result.modifiedCount === 1) {
+      updated.autoHidden = true;
+      await ModerationCase.updateOne({ _id: updated._id }, { $set: { autoHidden: true } });
+    }
+  }
+
+  return updated;
+};
+
+// Load the reported content of each case as `content` (null once it is gone)
+const attachTargets = async (cases) => {
+  const results = cases.map(moderationCase => ({ ...moderationCase.toObject(), content: null }));
+
+  for (const [targetType, Model] of Object.entries(TARGET_MODELS)) {
+    const ids = cases.filter(c => c.targetType === targetType).map(c => c.target);
+    if (ids.length === 0) continue;
+
+    const targets = await Model.find({ _id: { $in: ids } }).populate('user', 'username avatar');
+    const byId = new Map(targets.map(target => [target._id.toString(), target]));
+
+    results.forEach((result) => {
+      if (result.targetType === targetType) {
+        result.content = byId.get(result.target.toString()) || null;
+      }
+    });
+  }
+
+  return results;
+};
+
+// Email everyone whose report was decided by this outcome. Failures are only logged.
+const notifyReporters = async (moderationCase, outcome) => {
+  const reports = await Report.find({ case: moderationCase._id, outcome: 'pending' })
+    .populate('reporter', 'username email');
+
+  await Report.updateMany({ case: moderationCase._id, outcome: 'pending' }, { $set: { outcome } });
+
+  reports.forEach((report) => {
+    if (!report.reporter) return;
+
+    sendReportOutcomeEmail(report.reporter, {
+      targetType: moderationCase.targetType,
+      targetLabel: moderationCase.targetLabel,
+      outcome
+    }).catch((error) => {
+      console.error('Report outcome email error:', error);
+    });
+  });
+};
+
+// Record a moderator decision on a case. "dismiss" restores auto-hidden content,
+// "remove" deletes the content; both tell the reporters.
+const resolveCase = async (moderationCase, moderator, action, note) => {
+  const Model = TARGET_MODELS[moderationCase.targetType];
+
+  if (action === 'remove') {
+    const target = await Model.findById(moderationCase.target);
+    if (target) {
+      await (moderationCase.targetType === 'video' ? removeVideo(target) : removeComment(target));
+    }
+    moderationCase.status = 'removed';
+  } else if (action === 'dismiss') {
+    if (moderationCase.autoHidden) {
+      await Model.updateOne(
+        { _id: moderationCase.target, hiddenReason: 'reports' },
+        { $unset: { hiddenAt: 1, hiddenReason: 1 } }
+      );
+    }
+    moderationCase.status = 'dismissed';
+    moderationCase.autoHidden = false;
+    moderationCase.openReports = 0;
+  } else {
+    moderationCase.status = 'escalated';
+  }
+
+  moderationCase.history.push({ action, by: moderator._id, note });
+
+  if (action !== 'escalate') {
+    moderationCase.resolvedBy = moderator._id;
+    moderationCase.resolvedAt = new Date();
+  }
+
+  await moderationCase.save();
+
+  if (action !== 'escalate') {
+    await notifyReporters(moderationCase, moderationCase.status);
+  }
+
+  return moderationCase;
+};
+
+module.exports = {
+  fileReport,
+  attachTargets,
+  resolveCase
+};
@@ -0,0 +1,104 @@
+
+const mime = require('mime-types');
+const storage = require('../storage');
+
+// Parse a single "bytes=start-end" range against the file size.
+// Returns null when the header should be ignored and false when it is unsatisfiable.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+  // Multiple or malformed ranges: fall back to sending the whole file
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+
+  return { start, end };
+};
+
+// Check an If-None-Match header against the current ETag
+const etagMatches = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+};
+
+// Send a stored object honouring Range, If-Range and If-None-Match request headers
+const streamFile = async (req, res, key) => {
+  const stats = await storage.stat(key);
+  const modified = new Date(stats.lastModified);
+  const etag = `"${stats.size.toString(16)}-${modified.getTime().toString(16)}"`;
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Content-Type': mime.lookup(key) || 'application/octet-stream',
+    'ETag': etag,
+    'Last-Modified': modified.toUTCString()
+  });
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  const ifRange = req.headers['if-range'];
+
+  // A stale If-Range means the client's partial copy is outdated: send everything
+  if (req.headers.range && (!ifRange || ifRange === etag)) {
+    range = parseRange(req.headers.range, stats.size);
+  }
+
+  if (range === false) {
+    res.set('Content-Range', `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stats.size - 1;
+
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+  }
+
+  res.set('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+
+  if (req.method === 'HEAD' || stats.size === 0) {
+    return res.end();
+  }
+
+  const stream = await storage.getStream(key, { start, end });
+
+  stream.on('error', (error) => {
+    console.error('Stream file error:', error);
+    res.destroy(error);
+  });
+
+  // Stop reading when the client goes away mid-transfer
+  res.on('close', () => stream.destroy());
+
+  stream.pipe(res);
+};
+
+module.exports = streamFile;
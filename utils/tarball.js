@@ -0,0 +1,64 @@
+
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+// Write a string into a header field, NUL padded
+const writeField = (header, value, offset, length) => {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+// Octal number field as tar expects: zero padded, NUL terminated
+const writeOctal = (header, value, offset, length) => {
+  writeField(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+};
+
+// ustar header for a regular file
+const createHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  writeField(header, '0', 156, 1);
+  writeField(header, 'ustar\u000000', 257, 8);
+
+  // The checksum is computed with its own field filled with spaces
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeField(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+};
+
+// Pack files ({ name, content } with string or Buffer content) into a gzipped tar archive.
+// Names must stay below 100 bytes.
+const createTarGz = (files, mtime = new Date()) => {
+  const blocks = [];
+
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+    blocks.push(createHeader(name, data.length, mtime), data);
+
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  });
+
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+module.exports = {
+  createTarGz
+};
@@ -0,0 +1,111 @@
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('../storage');
+const { runFfmpeg } = require('./ffmpeg');
+const { scratchDir, removeFiles, removeUploads } = require('./files');
+
+const CANDIDATE_COUNT = 3;
+
+// Storyboard tiles and sheet layout
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const TILE_COLUMNS = 10;
+const TILE_ROWS = 10;
+const MAX_TILES = 200;
+
+// Format seconds as a WebVTT timestamp ("HH:MM:SS.mmm")
+const vttTimestamp = (totalSeconds) => {
+  const date = new Date(Math.round(totalSeconds * 1000));
+  return date.toISOString().substr(11, 12);
+};
+
+// Extract still frames spread across the video to offer as thumbnails.
+// Returns the public URLs of the stored images. On failure nothing is left behind.
+const generateThumbnailCandidates = async (videoPath, duration) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const outputDir = scratchDir('thumbnails');
+  const urls = [];
+  let filePath;
+
+  try {
+    for (let i = 1; i <= CANDIDATE_COUNT; i++) {
+      const filename = `thumbnail-${uniqueSuffix}-${i}.jpg`;
+      const time = (duration * i) / (CANDIDATE_COUNT + 1);
+      filePath = path.join(outputDir, filename);
+
+      await runFfmpeg([
+        '-y',
+        '-ss', time.toFixed(3),
+        '-i', videoPath,
+        '-frames:v', '1',
+        '-vf', 'scale=1280:-2',
+        '-q:v', '3',
+        filePath
+      ]);
+
+      urls.push(await storage.storeUpload({ filename, path: filePath }, 'thumbnails'));
+    }
+  } catch (error) {
+    await removeFiles([filePath]);
+    await removeUploads(urls);
+    throw error;
+  }
+
+  return urls;
+};
+
+// Build the WebVTT track mapping each time range to a tile of a sprite sheet
+const buildStoryboardVtt = (duration, interval) => {
+  const tilesPerSheet = TILE_COLUMNS * TILE_ROWS;
+  const tileCount = Math.ceil(duration / interval);
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < tileCount; i++) {
+    const sheet = Math.floor(i / tilesPerSheet) + 1;
+    const position = i % tilesPerSheet;
+    const x = (position % TILE_COLUMNS) * TILE_WIDTH;
+    const y = Math.floor(position / TILE_COLUMNS) * TILE_HEIGHT;
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+
+    lines.push(`${vttTimestamp(start)} --> ${vttTimestamp(end)}`);
+    lines.push(`sprite-${String(sheet).padStart(3, '0')}.jpg#xywh=${x},${y},${TILE_WIDTH},${TILE_HEIGHT}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+// Render seek-preview sprite sheets and their WebVTT thumbnail track for a video
+const generateStoryboard = async (videoId, videoPath, duration) => {
+  const prefix = `thumbnails/storyboards/${videoId}`;
+  const outputDir = scratchDir('storyboards', videoId.toString());
+  const interval = Math.max(1, Math.ceil(duration / MAX_TILES));
+
+  await runFfmpeg([
+    '-y',
+    '-i', videoPath,
+    '-vf', [
+      `fps=1/${interval}`,
+      `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+      `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+      `tile=${TILE_COLUMNS}x${TILE_ROWS}`
+    ].join(','),
+    '-q:v', '5',
+    path.join(outputDir, 'sprite-%03d.jpg')
+  ]);
+
+  await fs.promises.writeFile(path.join(outputDir, 'storyboard.vtt'), buildStoryboardVtt(duration, interval));
+  await storage.putDirectory(prefix, outputDir);
+
+  return {
+    vttUrl: storage.getPublicUrl(`${prefix}/storyboard.vtt`),
+    interval
+  };
+};
+
+module.exports = {
+  generateThumbnailCandidates,
+  generateStoryboard
+};
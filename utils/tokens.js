@@ -0,0 +1,152 @@
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const CHALLENGE_TOKEN_TTL = '5m';
+const MEDIA_TOKEN_TTL = process.env.MEDIA_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Number of rotated refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens carry their session id so a presented token can be matched to its family
+const generateRefreshToken = session => `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Error raised for refresh tokens that can't be used
+const refreshError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  const refreshToken = generateRefreshToken(session);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Presenting an already rotated token means it was copied: the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  const session = /^[a-f0-9]{24}$/.test(sessionId) ? await Session.findById(sessionId) : null;
+
+  if (!session || !session.isActive()) {
+    throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh_token_reuse';
+    await session.save();
+    throw refreshError('Refresh token reuse detected; session revoked', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (presentedHash !== session.tokenHash) {
+    throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const nextToken = generateRefreshToken(session);
+  const nextHash = hashToken(nextToken);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const result = await Session.updateOne(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: nextHash,
+        lastUsedAt: new Date(),
+        userAgent: req.get('User-Agent') || session.userAgent,
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  return {
+    userId: session.user,
+    token: signAccessToken({ _id: session.user }, session),
+    refreshToken: nextToken
+  };
+};
+
+// Short-lived token proving the password step of a two-factor login succeeded.
+// It carries no session id, so the auth middleware never accepts it as an access token.
+const signChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+};
+
+// Id of the user a challenge token was issued for, or null if it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Short-lived token for media URLs of one video. Players can't send headers, so it
+// travels in the query string; it only grants playback of that video, never API access.
+const signMediaToken = (user, session, video) => {
+  return jwt.sign(
+    { id: user._id, sid: session._id, vid: video._id.toString(), purpose: 'media' },
+    process.env.JWT_SECRET,
+    { expiresIn: MEDIA_TOKEN_TTL }
+  );
+};
+
+// Revoke sessions matching a filter (e.g. one session, or all of a user's)
+const revokeSessions = (filter, reason) => {
+  return Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  signChallengeToken,
+  verifyChallengeToken,
+  signMediaToken
+};
@@ -0,0 +1,224 @@
+
+const fs = require('fs');
+const path = require('path');
+const Video = require('../models/Video');
+const storage = require('../storage');
+const { runFfmpeg, probeVideo } = require('./ffmpeg');
+const { scratchDir } = require('./files');
+const formatDuration = require('./formatDuration');
+const { generateThumbnailCandidates, generateStoryboard } = require('./thumbnails');
+
+const CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+const SEGMENT_SECONDS = 6;
+
+// HLS renditions, highest quality first
+const LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+const queue = [];
+let running = 0;
+
+// Encode one rendition into <outputDir>/<name>/index.m3u8
+const transcodeRendition = (inputPath, outputDir, rendition, onProgress) => {
+  const renditionDir = path.join(outputDir, rendition.name);
+  fs.mkdirSync(renditionDir, { recursive: true });
+
+  return runFfmpeg([
+    '-y',
+    '-i', inputPath,
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-vf', `scale=-2:${rendition.height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-b:v', `${rendition.videoBitrate}k`,
+    '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rendition.videoBitrate * 2}k`,
+    // Fixed keyframe interval so segments line up across renditions
+    '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+    '-sc_threshold', '0',
+    '-c:a', 'aac',
+    '-b:a', `${rendition.audioBitrate}k`,
+    '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(renditionDir, 'segment_%04d.ts'),
+    path.join(renditionDir, 'index.m3u8')
+  ], { onProgress });
+};
+
+// Pick the renditions worth encoding for a source: never upscale,
+// but always produce at least the smallest one
+const selectLadder = (sourceHeight) => {
+  const ladder = LADDER.filter(rendition => rendition.height <= sourceHeight);
+  return ladder.length > 0 ? ladder : [LADDER[LADDER.length - 1]];
+};
+
+// Width of a rendition scaled to the given height, rounded to an even number like scale=-2
+const scaledWidth = (metadata, height) => {
+  return Math.round((metadata.width / metadata.height) * height / 2) * 2;
+};
+
+// Build the master playlist that points at every rendition
+const buildMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach((rendition) => {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`);
+    lines.push(`${rendition.name}/index.m3u8`);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// Transcode a video into an HLS ladder, recording status and progress on the document
+const processVideo = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) return;
+
+  const outputDir = scratchDir('hls', video._id.toString());
+  let source = null;
+
+  video.processing = {
+    status: 'processing',
+    progress: 0,
+    startedAt: new Date()
+  };
+  await video.save();
+
+  try {
+    // ffmpeg needs a real file, so remote objects are downloaded first
+    source = await storage.getLocalCopy(storage.getKey(video.videoUrl));
+    const inputPath = source.path;
+
+    // Videos uploaded before probing was added have no metadata yet
+    let metadata = video.metadata;
+    if (!metadata || !metadata.height) {
+      metadata = await probeVideo(inputPath);
+      await Video.updateOne({ _id: video._id }, {
+        metadata,
+        duration: formatDuration(metadata.duration)
+      });
+    }
+
+    // Start from a clean directory in case an earlier attempt was interrupted
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+
+    const ladder = selectLadder(metadata.height);
+    const renditions = [];
+    let lastSaved = 0;
+
+    for (let i = 0; i < ladder.length; i++) {
+      const rendition = ladder[i];
+
+      await transcodeRendition(inputPath, outputDir, rendition, (time) => {
+        const fraction = Math.min(time / metadata.duration, 1);
+        const progress = Math.floor(((i + fraction) / ladder.length) * 100);
+
+        // Avoid hammering the database with every progress line
+        if (progress - lastSaved >= 5) {
+          lastSaved = progress;
+          Video.updateOne({ _id: video._id }, { 'processing.progress': progress }).catch((error) => {
+            console.error('Transcode progress update error:', error);
+          });
+        }
+      });
+
+      renditions.push({
+        name: rendition.name,
+        width: scaledWidth(metadata, rendition.height),
+        height: rendition.height,
+        bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+        playlistUrl: `/api/videos/${video._id}/hls/${rendition.name}/index.m3u8`
+      });
+    }
+
+    await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions));
+    await storage.putDirectory(`hls/${video._id}`, outputDir);
+
+    // Preview images are nice to have; a failure here shouldn't fail playback
+    const extras = {};
+    try {
+      extras.storyboard = await generateStoryboard(video._id, inputPath, metadata.duration);
+
+      if (video.thumbnailCandidates.length === 0) {
+        extras.thumbnailCandidates = await generateThumbnailCandidates(inputPath, metadata.duration);
+      }
+    } catch (error) {
+      console.error(`Thumbnail generation error for video ${video._id}:`, error);
+    }
+
+    await Video.updateOne({ _id: video._id }, {
+      $set: {
+        ...extras,
+        renditions,
+        hlsUrl: `/api/videos/${video._id}/hls/master.m3u8`,
+        'processing.status': 'ready',
+        'processing.progress': 100,
+        'processing.completedAt': new Date()
+      },
+      $unset: { 'processing.error': 1 }
+    });
+  } catch (error) {
+    console.error(`Transcode error for video ${video._id}:`, error);
+
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    await Video.updateOne({ _id: video._id }, {
+      $set: {
+        'processing.status': 'failed',
+        'processing.error': error.message,
+        'processing.completedAt': new Date()
+      }
+    });
+  } finally {
+    if (source) {
+      await source.release();
+    }
+  }
+};
+
+// Start queued jobs while there are free workers
+const runNext = () => {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const videoId = queue.shift();
+    running += 1;
+
+    processVideo(videoId)
+      .catch((error) => {
+        console.error(`Transcode job error for video ${videoId}:`, error);
+      })
+      .finally(() => {
+        running -= 1;
+        runNext();
+      });
+  }
+};
+
+// Add a video to the transcoding queue
+const enqueueTranscode = (videoId) => {
+  const id = videoId.toString();
+  if (!queue.includes(id)) {
+    queue.push(id);
+  }
+  runNext();
+};
+
+// Re-queue jobs that were pending or interrupted when the server last stopped
+const resumePendingTranscodes = async () => {
+  const videos = await Video.find({
+    'processing.status': { $in: ['queued', 'processing'] }
+  }).select('_id');
+
+  videos.forEach(video => enqueueTranscode(video._id));
+};
+
+module.exports = {
+  enqueueTranscode,
+  resumePendingTranscodes
+};
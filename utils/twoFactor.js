@@ -0,0 +1,93 @@
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'YouTube Clone';
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields holding two-factor secrets, which are never selected by default
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = code => crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-f0-9]/g, '')).digest('hex');
+
+// Start enrollment: a fresh secret and the URI to show as a QR code
+const createEnrollment = (user) => {
+  const secret = generateSecret();
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+  };
+};
+
+// New set of one-time recovery codes. Only the hashes are stored.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+// Accept an authenticator code at most once: the step it belongs to must be newer
+// than the last accepted one. The user must be loaded with SECRET_FIELDS.
+const useTotpCode = async (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Use up a recovery code
+const useRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(String(code));
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Check the second factor from a request body ({ code } or { recoveryCode }).
+// Returns "totp" or "recovery" for the method that succeeded, or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    return null;
+  }
+
+  if (code && await useTotpCode(user, code)) {
+    return 'totp';
+  }
+
+  if (recoveryCode && await useRecoveryCode(user, recoveryCode)) {
+    return 'recovery';
+  }
+
+  return null;
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  createEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,52 @@
+
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+const { scratchDir, removeFiles } = require('./files');
+
+const PARTIALS_DIR = scratchDir('uploads');
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Partial file that chunks of an upload session are written to
+const getSessionFilePath = (session) => path.join(PARTIALS_DIR, `${session._id}.part`);
+
+// New expiry for a session that just saw activity
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS);
+
+// Delete an upload session together with its partial file
+const removeUploadSession = async (session) => {
+  await removeFiles([getSessionFilePath(session)]);
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+// Remove sessions that saw no activity before their expiry
+const cleanupExpiredUploadSessions = async () => {
+  const sessions = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+
+  for (const session of sessions) {
+    await removeUploadSession(session);
+  }
+
+  return sessions.length;
+};
+
+// Periodically sweep abandoned sessions
+const startUploadSessionCleanup = () => {
+  const timer = setInterval(() => {
+    cleanupExpiredUploadSessions().catch((error) => {
+      console.error('Upload session cleanup error:', error);
+    });
+  }, CLEANUP_INTERVAL_MS);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+};
+
+module.exports = {
+  PARTIALS_DIR,
+  getSessionFilePath,
+  nextExpiry,
+  removeUploadSession,
+  cleanupExpiredUploadSessions,
+  startUploadSessionCleanup
+};
@@ -0,0 +1,67 @@
+
+const { hasPermission } = require('../middleware/permissions');
+
+// Check whether a user is the owner of a video
+const isVideoOwner = (video, user) => {
+  if (!user) return false;
+  const ownerId = video.user && video.user._id ? video.user._id : video.user;
+  return ownerId.toString() === user._id.toString();
+};
+
+// Check whether a video has a scheduled release that hasn't happened yet
+const isScheduled = (video) => {
+  return !!video.publishAt && video.publishAt > new Date();
+};
+
+// Check whether a video was explicitly shared with a user
+const isSharedWith = (video, user) => {
+  if (!user || !video.sharedWith) return false;
+  return video.sharedWith.some(id => id.toString() === user._id.toString());
+};
+
+// Check whether a user (or an anonymous visitor) may watch a video.
+// Public and unlisted videos are reachable by anyone with the id once published and released;
+// drafts, private and scheduled videos only by their owner and users they were shared with.
+// Videos hidden by moderation are only visible to their owner and moderators.
+const canViewVideo = (video, user) => {
+  if (isVideoOwner(video, user)) return true;
+  if (video.hiddenAt) return hasPermission(user, 'content:remove');
+  if (video.status === 'draft' || video.visibility === 'private' || isScheduled(video)) {
+    return isSharedWith(video, user);
+  }
+  return true;
+};
+
+// Query conditions for videos that may appear in public listings, search,
+// recommendations and feeds: published, public, already released and not hidden by moderation
+const publicVideoFilter = () => ({
+  status: { $ne: 'draft' },
+  hiddenAt: null,
+  visibility: { $nin: ['unlisted', 'private'] },
+  publishAt: { $not: { $gt: new Date() } }
+});
+
+// Query conditions for the videos a signed-in user may watch, matching canViewVideo
+const viewableVideoFilter = (user) => {
+  const notHidden = hasPermission(user, 'content:remove') ? {} : { hiddenAt: null };
+
+  return {
+    $or: [
+      { user: user._id },
+      {
+        ...notHidden,
+        status: { $ne: 'draft' },
+        visibility: { $ne: 'private' },
+        publishAt: { $not: { $gt: new Date() } }
+      },
+      { ...notHidden, sharedWith: user._id }
+    ]
+  };
+};
+
+module.exports = {
+  isVideoOwner,
+  canViewVideo,
+  publicVideoFilter,
+  viewableVideoFilter
+};
@@ -0,0 +1,84 @@
+
+const Video = require('../models/Video');
+const storage = require('../storage');
+const { probeVideo } = require('./ffmpeg');
+const formatDuration = require('./formatDuration');
+const { generateThumbnailCandidates } = require('./thumbnails');
+const { enqueueTranscode } = require('./transcodeQueue');
+const { removeUploads } = require('./files');
+
+const invalidVideo = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_VIDEO';
+  return error;
+};
+
+// Create a video from files in scratch space: probe the video, pick or generate
+// a thumbnail, move the files into storage, save the document and queue HLS packaging.
+// Throws an error with code 'INVALID_VIDEO' when ffprobe can't read the file or no
+// thumbnail was uploaded and none can be extracted from it.
+const createVideo = async ({ user, videoFile, thumbnailFile, fields }) => {
+  let metadata;
+  try {
+    metadata = await probeVideo(videoFile.path);
+  } catch (error) {
+    throw invalidVideo('Uploaded file is not a valid video');
+  }
+
+  // Without an uploaded thumbnail, offer frames from the video and use the first one
+  let thumbnailCandidates = [];
+  let thumbnailUrl;
+  if (thumbnailFile) {
+    thumbnailUrl = await storage.storeUpload(thumbnailFile, 'thumbnails');
+  } else {
+    try {
+      thumbnailCandidates = await generateThumbnailCandidates(videoFile.path, metadata.duration);
+    } catch (error) {
+      console.error('Thumbnail candidates error:', error);
+      throw invalidVideo('Could not extract a thumbnail from the video; please upload one');
+    }
+    thumbnailUrl = thumbnailCandidates[0];
+  }
+
+  let videoUrl;
+  try {
+    videoUrl = await storage.storeUpload(videoFile, 'videos');
+  } catch (error) {
+    await removeUploads([thumbnailUrl, ...thumbnailCandidates]);
+    throw error;
+  }
+
+  const video = new Video({
+    title: fields.title,
+    description: fields.description,
+    category: fields.category || 'entertainment',
+    user: user._id,
+    videoUrl,
+    thumbnailUrl,
+    thumbnailCandidates,
+    duration: formatDuration(metadata.duration),
+    metadata,
+    tags: fields.tags || [],
+    visibility: fields.visibility,
+    publishAt: fields.publishAt,
+    status: 'draft',
+    processing: { status: 'queued' }
+  });
+
+  try {
+    await video.save();
+  } catch (error) {
+    // Everything has been moved into storage by now
+    await removeUploads([videoUrl, thumbnailUrl, ...thumbnailCandidates]);
+    throw error;
+  }
+
+  // Package HLS renditions in the background
+  enqueueTranscode(video._id);
+
+  return video;
+};
+
+module.exports = {
+  createVideo
+};
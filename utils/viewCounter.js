@@ -0,0 +1,99 @@
+
+const crypto = require('crypto');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const ViewRecord = require('../models/ViewRecord');
+
+// Seconds of playback before a view counts (half the video for shorter ones)
+const VIEW_THRESHOLD_SECONDS = parseInt(process.env.VIEW_THRESHOLD_SECONDS) || 30;
+// A viewer adds at most one view per video within this window
+const VIEW_DEDUP_WINDOW_MS = (parseInt(process.env.VIEW_DEDUP_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+// Reported playback can't outpace wall-clock time by more than this (fast playback speeds)
+const MAX_PLAYBACK_RATE = 2;
+
+// User agents of crawlers, link previewers, headless browsers and HTTP libraries
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|preview|facebookexternalhit|headless|phantomjs|lighthouse|curl|wget|python|java\/|go-http-client|okhttp|axios|node-fetch|httpclient|libwww|scrapy/i;
+
+// Check whether a request comes from something that isn't a person watching
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Key that identifies a viewer for deduplication
+const viewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+  return `anon:${hash}`;
+};
+
+// Playback needed before a view of this video counts
+const viewThreshold = (video) => {
+  const duration = video.metadata && video.metadata.duration;
+  return duration ? Math.min(VIEW_THRESHOLD_SECONDS, duration / 2) : VIEW_THRESHOLD_SECONDS;
+};
+
+// Add a heartbeat's playback to the viewer's record for the current window
+const accumulatePlayback = async (video, viewer, watched) => {
+  const now = Date.now();
+  const windowStart = new Date(now - (now % VIEW_DEDUP_WINDOW_MS));
+  const filter = { video: video._id, viewer, windowStart };
+  const update = {
+    $inc: { watchedSeconds: watched },
+    $setOnInsert: { expiresAt: new Date(windowStart.getTime() + VIEW_DEDUP_WINDOW_MS) }
+  };
+
+  try {
+    return await ViewRecord.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first heartbeats raced; the other one created the record
+    if (error.code === 11000) {
+      return ViewRecord.findOneAndUpdate(filter, update, { new: true });
+    }
+    throw error;
+  }
+};
+
+// Record a playback heartbeat and count a view once the viewer has played enough
+// of the video. Views are counted at most once per viewer and window, and never
+// for bots. Returns the viewer key (null for bots), whether this heartbeat counted
+// a view, and how many of the reported seconds were credited as watch time.
+const recordPlayback = async (req, video, watched = 0) => {
+  if (isBot(req.get('user-agent'))) {
+    return { viewer: null, viewCounted: false, watchedSeconds: 0 };
+  }
+
+  const viewer = viewerKey(req);
+  const record = await accumulatePlayback(video, viewer, watched);
+
+  // Clients can claim any playback time, so credit no more than real time allows
+  const elapsedSeconds = (Date.now() - record.createdAt.getTime()) / 1000;
+  const limit = elapsedSeconds * MAX_PLAYBACK_RATE;
+  const credited = Math.min(record.watchedSeconds, limit);
+  const watchedSeconds = credited - Math.min(record.watchedSeconds - watched, limit);
+
+  if (record.countedAt || credited < viewThreshold(video)) {
+    return { viewer, viewCounted: false, watchedSeconds };
+  }
+
+  // Only one heartbeat gets to count the view
+  const claim = await ViewRecord.updateOne(
+    { _id: record._id, countedAt: null },
+    { $set: { countedAt: new Date() } }
+  );
+  if (claim.modifiedCount === 0) {
+    return { viewer, viewCounted: false, watchedSeconds };
+  }
+
+  await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  await User.updateOne({ _id: video.user }, { $inc: { views: 1 } });
+
+  return { viewer, viewCounted: true, watchedSeconds };
+};
+
+module.exports = {
+  isBot,
+  recordPlayback
+};
@@ -0,0 +1,89 @@
+
+const WatchHistory = require('../models/WatchHistory');
+
+// Share of a video that counts as watched to the end
+const COMPLETION_RATIO = 0.95;
+// Entries need at least this much progress to show up in "continue watching"
+const RESUME_MIN_SECONDS = 10;
+// Most playback time a single heartbeat can add; clients report every few seconds
+const MAX_HEARTBEAT_SECONDS = 120;
+// How many recent entries are considered when tailoring feeds
+const RECENT_LIMIT = 500;
+
+// Record a progress heartbeat for a signed-in viewer.
+// position is the playback position and watched the seconds played since the
+// previous heartbeat. Returns the updated entry, or null while history is paused.
+const recordProgress = async (user, video, { position, watched = 0 }) => {
+  if (user.historyPaused) {
+    return null;
+  }
+
+  const duration = video.metadata && video.metadata.duration;
+  const clampedPosition = duration ? Math.min(position, duration) : position;
+  const completed = !!duration && clampedPosition >= duration * COMPLETION_RATIO;
+
+  return WatchHistory.findOneAndUpdate(
+    { user: user._id, video: video._id },
+    {
+      $set: {
+        position: clampedPosition,
+        completed,
+        lastWatchedAt: new Date(),
+        ...(duration ? { duration } : {})
+      },
+      $inc: { watchedSeconds: Math.min(watched, MAX_HEARTBEAT_SECONDS) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Query conditions for a user's "continue watching" entries
+const continueWatchingFilter = userId => ({
+  user: userId,
+  completed: false,
+  position: { $gte: RESUME_MIN_SECONDS }
+});
+
+// Ids of the videos a user recently watched to the end
+const getCompletedVideoIds = async (userId) => {
+  const entries = await WatchHistory.find({ user: userId, completed: true })
+    .sort({ lastWatchedAt: -1 })
+    .limit(RECENT_LIMIT)
+    .select('video')
+    .lean();
+
+  return entries.map(entry => entry.video);
+};
+
+// Categories and tags of a user's recently watched videos, most frequent first
+const getWatchInterests = async (userId, limit = 50) => {
+  const entries = await WatchHistory.find({ user: userId })
+    .sort({ lastWatchedAt: -1 })
+    .limit(limit)
+    .populate('video', 'category tags')
+    .lean();
+
+  const count = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+  const categories = new Map();
+  const tags = new Map();
+
+  entries.forEach(({ video }) => {
+    if (!video) return;
+    if (video.category) count(categories, video.category);
+    (video.tags || []).forEach(tag => count(tags, tag));
+  });
+
+  const ranked = counts => [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+
+  return {
+    categories: ranked(categories).slice(0, 5),
+    tags: ranked(tags).slice(0, 20)
+  };
+};
+
+module.exports = {
+  recordProgress,
+  continueWatchingFilter,
+  getCompletedVideoIds,
+  getWatchInterests
+};